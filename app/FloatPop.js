@@ -72,7 +72,7 @@ var __decorate = (this && this.__decorate) || function (decorators, target, key,
     else for (var i = decorators.length - 1; i >= 0; i--) if (d = decorators[i]) r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
     return c > 3 && r && Object.defineProperty(target, key, r), r;
 };
-define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/core/tsSupport/decorateHelper", "esri/core/tsSupport/assignHelper", "esri/widgets/support/widget", "esri/core/accessorSupport/decorators", "esri/core/lang", "esri/core/HandleRegistry", "esri/core/watchUtils", "esri/widgets/Widget", "esri/widgets/support/widgetUtils", "esri/widgets/Popup/PopupRenderer", "esri/widgets/Popup/PopupViewModel", "dojo/i18n!esri/widgets/Popup/nls/Popup", "esri/widgets/Spinner", "dojo/dom-geometry"], function (require, exports, __extends, __decorate, __assign, widget_1, decorators_1, esriLang, HandleRegistry, watchUtils, Widget, widgetUtils, PopupRenderer, PopupViewModel, i18n, Spinner, domGeometry) {
+define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/core/tsSupport/decorateHelper", "esri/core/tsSupport/assignHelper", "esri/widgets/support/widget", "esri/core/accessorSupport/decorators", "esri/core/lang", "esri/core/HandleRegistry", "esri/core/watchUtils", "esri/widgets/Widget", "esri/widgets/support/widgetUtils", "esri/widgets/Popup/PopupRenderer", "esri/widgets/Popup/PopupViewModel", "dojo/i18n!ec-widgets/FloatPop/nls/FloatPop", "esri/widgets/Spinner", "dojo/dom-geometry", "dojo/on"], function (require, exports, __extends, __decorate, __assign, widget_1, decorators_1, esriLang, HandleRegistry, watchUtils, Widget, widgetUtils, PopupRenderer, PopupViewModel, i18n, Spinner, domGeometry, on) {
     "use strict";
     var DEFAULT_ACTION_IMAGE = require.toUrl("esri/widgets/Popup/images/default-action.svg");
     var CSS = {
@@ -90,6 +90,7 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
         iconLoading: "esri-rotating esri-icon-loading-indicator",
         iconZoom: "esri-icon-zoom-in-magnifying-glass",
         iconEcPin: "esri-icon-map-pin",
+        iconCircleCollapse: "esri-icon-collapse",
         // base
         base: "esri-popup",
         // containers
@@ -139,6 +140,20 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
         // ec widgets float pop pin
         ecpinWrapper: "ec-widgets-floatpop__pin-wrap",
         ecpin: "ec-widgets-floatpop__pin",
+        ecpinNumber: "ec-widgets-floatpop__pin-number",
+        ecpinDisabled: "ec-widgets-floatpop__pin--disabled",
+        ecpinActive: "ec-widgets-floatpop__pin--active",
+        isPinned: "ec-widgets-floatpop--pinned",
+        // ec widgets float pop circle
+        isCircle: "ec-widgets-floatpop--circle",
+        circle: "ec-widgets-floatpop__circle",
+        circleText: "ec-widgets-floatpop__circle-text",
+        isDraggable: "ec-widgets-floatpop--draggable",
+        isDragging: "ec-widgets-floatpop--dragging",
+        isFlashing: "ec-widgets-floatpop--flashing",
+        isActive: "ec-widgets-floatpop--active",
+        // ec widgets float pop leader line
+        leaderLine: "ec-widgets-floatpop__leader-line",
         // navigation
         navigation: "esri-popup__navigation",
         navigationButtons: "esri-popup__navigation-buttons",
@@ -170,6 +185,7 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
         }
     };
     var WIDGET_KEY_PARTIAL = "esri-popup";
+    var FLASH_DURATION = 1200;
     function buildKey(element, index) {
         if (index === undefined) {
             return WIDGET_KEY_PARTIAL + "__" + element;
@@ -187,6 +203,11 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             typeof value.postCreate === "function" &&
             typeof value.startup === "function";
     }
+    /**
+     * Fires after the user clicks the pin of a popup and [pinned](#pinned) is toggled.
+     *
+     * @event module:esri/widgets/Popup#trigger-pin
+     */
     /**
      * Fires after the user clicks on an {@link module:esri/support/Action action} inside a popup. This
      * event may be used to define a custom function to execute when particular
@@ -252,6 +273,13 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             _this._handleRegistry = new HandleRegistry();
             _this._displayActionTextLimit = 2;
             _this._pointerOffsetInPx = 16;
+            _this._circlePointerOffsetInPx = 8;
+            _this._circleHovered = false;
+            _this._headerButtonsNode = null;
+            _this._dragState = null;
+            _this._suppressClick = false;
+            _this._messages = i18n;
+            _this._flashTimer = 0;
             _this._spinner = null;
             _this._closeFeatureMenuHandle = null;
             //--------------------------------------------------------------------------
@@ -322,6 +350,20 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              */
             _this.actions = null;
             //----------------------------------
+            //  active
+            //----------------------------------
+            /**
+             * Indicates whether the popup is the one the user is working with. `FloatPopManager` marks
+             * its `activePop` as active.
+             *
+             * @name active
+             * @instance
+             *
+             * @type {boolean}
+             * @default false
+             */
+            _this.active = false;
+            //----------------------------------
             //  alignment
             //----------------------------------
             /**
@@ -376,6 +418,34 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              */
             _this.content = null;
             //----------------------------------
+            //  circleLabelField
+            //----------------------------------
+            /**
+             * Name of the attribute of the [selected feature](#selectedFeature) displayed inside the bubble
+             * when [shape](#shape) is `circle`. When not set, or when the attribute is empty, the [number](#number)
+             * is displayed, and an icon if there is no number either.
+             *
+             * @name circleLabelField
+             * @instance
+             *
+             * @type {string}
+             * @default null
+             */
+            _this.circleLabelField = null;
+            //----------------------------------
+            //  closeButtonEnabled
+            //----------------------------------
+            /**
+             * Indicates whether the close button displays in the header.
+             *
+             * @name closeButtonEnabled
+             * @instance
+             *
+             * @type {boolean}
+             * @default true
+             */
+            _this.closeButtonEnabled = true;
+            //----------------------------------
             //  collapsed
             //----------------------------------
             /**
@@ -397,6 +467,48 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              */
             _this.collapseEnabled = true;
             //----------------------------------
+            //  displacement
+            //----------------------------------
+            /**
+             * Screen offset in pixels, as `{ x, y }`, applied to the popup by the `FloatPopManager` layout
+             * to keep it from overlapping other pops. A leader line joins a displaced popup to its location.
+             *
+             * @name displacement
+             * @instance
+             *
+             * @type {Object}
+             * @default null
+             */
+            _this.displacement = null;
+            //----------------------------------
+            //  dragEnabled
+            //----------------------------------
+            /**
+             * Indicates whether the popup can be moved away from its [location](#location) by dragging
+             * its header. See [offset](#offset).
+             *
+             * @name dragEnabled
+             * @instance
+             *
+             * @type {boolean}
+             * @default true
+             */
+            _this.dragEnabled = true;
+            //----------------------------------
+            //  dockButtonEnabled
+            //----------------------------------
+            /**
+             * Indicates whether the dock button displays in the header. The button also requires
+             * `buttonEnabled` in [dockOptions](#dockOptions).
+             *
+             * @name dockButtonEnabled
+             * @instance
+             *
+             * @type {boolean}
+             * @default true
+             */
+            _this.dockButtonEnabled = true;
+            //----------------------------------
             //  dockEnabled
             //----------------------------------
             /**
@@ -422,6 +534,20 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              */
             _this.dockEnabled = false;
             //----------------------------------
+            //  expanded
+            //----------------------------------
+            /**
+             * Indicates whether a popup with a `circle` [shape](#shape) displays the full card instead of
+             * the bubble. Clicking the bubble toggles this, hovering it shows the card until the pointer leaves.
+             *
+             * @name expanded
+             * @instance
+             *
+             * @type {boolean}
+             * @default false
+             */
+            _this.expanded = false;
+            //----------------------------------
             //  featureCount
             //----------------------------------
             /**
@@ -436,6 +562,19 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              */
             _this.featureCount = null;
             //----------------------------------
+            //  featureMenuEnabled
+            //----------------------------------
+            /**
+             * Indicates whether the feature menu button displays when there are multiple [features](#features).
+             *
+             * @name featureMenuEnabled
+             * @instance
+             *
+             * @type {boolean}
+             * @default true
+             */
+            _this.featureMenuEnabled = true;
+            //----------------------------------
             //  featureMenuOpen
             //----------------------------------
             /**
@@ -550,6 +689,77 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              */
             _this.location = null;
             //----------------------------------
+            //  number
+            //----------------------------------
+            /**
+             * The sequence number shown as a badge in the pin area of the popup. It is assigned
+             * by `FloatPopManager` when `autonumber` is enabled. No badge displays when `null`.
+             *
+             * @name number
+             * @instance
+             *
+             * @type {number}
+             * @default null
+             */
+            _this.number = null;
+            //----------------------------------
+            //  offset
+            //----------------------------------
+            /**
+             * Screen offset in pixels, as `{ x, y }`, of a popup the user dragged away from its
+             * [location](#location). It is kept while the view pans and zooms, and a leader line
+             * joins the popup to its location.
+             *
+             * @name offset
+             * @instance
+             *
+             * @type {Object}
+             * @default null
+             */
+            _this.offset = null;
+            //----------------------------------
+            //  paginationEnabled
+            //----------------------------------
+            /**
+             * Indicates whether the previous and next buttons and the page text display when there are
+             * multiple [features](#features).
+             *
+             * @name paginationEnabled
+             * @instance
+             *
+             * @type {boolean}
+             * @default true
+             */
+            _this.paginationEnabled = true;
+            //----------------------------------
+            //  pinButtonEnabled
+            //----------------------------------
+            /**
+             * Indicates whether the pin button displays in the pin area of the popup, docked or floating.
+             * The [number](#number) badge displays regardless.
+             *
+             * @name pinButtonEnabled
+             * @instance
+             *
+             * @type {boolean}
+             * @default true
+             */
+            _this.pinButtonEnabled = true;
+            //----------------------------------
+            //  pinned
+            //----------------------------------
+            /**
+             * Indicates whether the popup is pinned. Clicking the pin toggles it. `FloatPopManager` never
+             * evicts a pinned popup to respect its `maxPops`, and keeps it open when `autoclose` is on.
+             *
+             * @name pinned
+             * @instance
+             *
+             * @type {boolean}
+             * @default false
+             */
+            _this.pinned = false;
+            //----------------------------------
             //  popupRenderers
             //----------------------------------
             /**
@@ -607,6 +817,22 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              */
             _this.selectedPopupRenderer = null;
             //----------------------------------
+            //  shape
+            //----------------------------------
+            /**
+             * The presentation of the popup. A `circle` popup displays as a compact bubble anchored at its
+             * [location](#location) and expands to the full card on hover or click. See [expanded](#expanded).
+             *
+             * **Known Values:** normal | circle
+             *
+             * @name shape
+             * @instance
+             *
+             * @type {string}
+             * @default normal
+             */
+            _this.shape = "normal";
+            //----------------------------------
             //  spinnerEnabled
             //----------------------------------
             /**
@@ -683,6 +909,19 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
              * @type {boolean}
              */
             _this.visible = null;
+            //----------------------------------
+            //  zIndex
+            //----------------------------------
+            /**
+             * The stacking order of the popup among the other popups, the highest shows on top.
+             * When `null`, popups stack in the order they were created.
+             *
+             * @name zIndex
+             * @instance
+             *
+             * @type {number}
+             */
+            _this.zIndex = null;
             return _this;
         }
         FloatPop.prototype.postInitialize = function () {
@@ -707,7 +946,11 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
                     "viewModel.visible",
                     "viewModel.waitingForResult",
                     "viewModel.location",
-                    "alignment"
+                    "alignment",
+                    "shape",
+                    "expanded",
+                    "displacement",
+                    "offset"
                 ], function () { return _this.reposition(); }),
                 closeFeatureMenuHandle,
                 watchUtils.watch(this, "spinnerEnabled", function (value) { return _this._spinnerEnabledChange(value); }),
@@ -735,6 +978,8 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             ]);
         };
         FloatPop.prototype.destroy = function () {
+            clearTimeout(this._flashTimer);
+            this._stopDrag();
             this._destroyPopupRenderers();
             this._destroySpinner();
             this._handleRegistry.destroy();
@@ -861,6 +1106,26 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             enumerable: true,
             configurable: true
         });
+        Object.defineProperty(FloatPop.prototype, "locale", {
+            //----------------------------------
+            //  locale
+            //----------------------------------
+            /**
+             * The locale of the popup strings, such as `en` or `zh-cn`. When not set, the locale of the
+             * page is used. The popup re-renders once the strings of a new locale are loaded.
+             *
+             * @name locale
+             * @instance
+             *
+             * @type {string}
+             */
+            set: function (value) {
+                this._set("locale", value);
+                this._loadMessages(value);
+            },
+            enumerable: true,
+            configurable: true
+        });
         //--------------------------------------------------------------------------
         //
         //  Public Methods
@@ -883,6 +1148,47 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
         FloatPop.prototype.close = function () {
             this.visible = false;
         };
+        /**
+         * The box of the displayed popup in view coordinates, as `{ x, y, width, height }`, including its
+         * [offset](#offset) but not its [displacement](#displacement). Returns `null` when the popup isn't
+         * displayed or is docked.
+         *
+         * @return {Object} The box of the popup.
+         */
+        FloatPop.prototype.getAnchoredBox = function () {
+            var _a = this, containerNode = _a._containerNode, dockEnabled = _a.dockEnabled, visible = _a.visible;
+            if (!containerNode || !containerNode.parentNode || dockEnabled || !visible) {
+                return null;
+            }
+            var displacement = this.displacement || { x: 0, y: 0 };
+            return {
+                x: containerNode.offsetLeft - displacement.x,
+                y: containerNode.offsetTop - displacement.y,
+                width: containerNode.offsetWidth,
+                height: containerNode.offsetHeight
+            };
+        };
+        /**
+         * Moves the keyboard focus to the popup, so its buttons can be reached with the tab key.
+         */
+        FloatPop.prototype.focus = function () {
+            var containerNode = this._containerNode;
+            if (containerNode && containerNode.parentNode) {
+                containerNode.focus();
+            }
+        };
+        /**
+         * Briefly highlights the popup to draw the user's attention to it.
+         */
+        FloatPop.prototype.flash = function () {
+            var _this = this;
+            clearTimeout(this._flashTimer);
+            this._flashTimer = setTimeout(function () {
+                _this._flashTimer = 0;
+                _this.scheduleRender();
+            }, FLASH_DURATION);
+            this.scheduleRender();
+        };
         /**
          * Selects the feature at the next index in relation to the selected feature.
          *
@@ -993,11 +1299,19 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
          * @method
          */
         FloatPop.prototype.triggerAction = function (actionIndex) { return null; };
+        /**
+         * Toggles [pinned](#pinned) and triggers the [trigger-pin](#event:trigger-pin) event, the
+         * same as clicking the pin.
+         */
+        FloatPop.prototype.triggerPin = function () {
+            this.pinned = !this.pinned;
+            this.emit("trigger-pin", {});
+        };
         FloatPop.prototype.render = function () {
-            var _a = this, collapsed = _a.collapsed, collapseEnabled = _a.collapseEnabled, dockEnabled = _a.dockEnabled, dockOptions = _a.dockOptions, actions = _a.actions, featureMenuOpen = _a.featureMenuOpen, featureNavigationEnabled = _a.featureNavigationEnabled, popupRenderers = _a.popupRenderers, visible = _a.visible;
+            var _a = this, collapsed = _a.collapsed, collapseEnabled = _a.collapseEnabled, closeButtonEnabled = _a.closeButtonEnabled, dockButtonEnabled = _a.dockButtonEnabled, dockEnabled = _a.dockEnabled, dockOptions = _a.dockOptions, actions = _a.actions, featureMenuEnabled = _a.featureMenuEnabled, featureMenuOpen = _a.featureMenuOpen, featureNavigationEnabled = _a.featureNavigationEnabled, number = _a.number, paginationEnabled = _a.paginationEnabled, pinButtonEnabled = _a.pinButtonEnabled, pinned = _a.pinned, popupRenderers = _a.popupRenderers, visible = _a.visible;
             var _b = this.viewModel, featureCount = _b.featureCount, promiseCount = _b.promiseCount, pendingPromisesCount = _b.pendingPromisesCount, selectedFeatureIndex = _b.selectedFeatureIndex, title = _b.title, waitingForResult = _b.waitingForResult;
-            var featureNavigationVisible = featureCount > 1 && featureNavigationEnabled;
-            var isFeatureMenuOpen = featureCount > 1 && featureMenuOpen;
+            var featureNavigationVisible = featureCount > 1 && featureNavigationEnabled && (paginationEnabled || featureMenuEnabled);
+            var isFeatureMenuOpen = featureCount > 1 && featureMenuEnabled && featureMenuOpen;
             var contentVisible = collapseEnabled && !isFeatureMenuOpen && collapsed;
             var actionsCount = actions && actions.length;
             var pageText = featureNavigationVisible && this._getPageText(featureCount, selectedFeatureIndex);
@@ -1008,10 +1322,10 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
                     this.get("selectedPopupRenderer.viewModel.content") :
                 content;
             var dockTitle = dockEnabled ?
-                i18n.undock :
-                i18n.dock;
+                this._messages.undock :
+                this._messages.dock;
             var _c = this, currentAlignment = _c.currentAlignment, currentDockPosition = _c.currentDockPosition;
-            var loadingContainerNode = !!pendingPromisesCount ? (widget_1.tsx("div", { key: buildKey("loading-container"), role: "presentation", class: CSS.loadingContainer, "aria-label": i18n.loading, title: i18n.loading },
+            var loadingContainerNode = !!pendingPromisesCount ? (widget_1.tsx("div", { key: buildKey("loading-container"), role: "presentation", class: CSS.loadingContainer, "aria-label": this._messages.loading, title: this._messages.loading },
                 widget_1.tsx("span", { "aria-hidden": "true", class: widget_1.join(CSS.icon, CSS.iconLoading) }))) : null;
             var featureMenuIconClasses = (_d = {},
                 _d[CSS.iconFeatureMenu] = !isFeatureMenuOpen,
@@ -1025,7 +1339,7 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
                 _e[CSS.paginationPreviousIconLTR] = !isRtl,
                 _e);
             var previousIconNode = (widget_1.tsx("span", { "aria-hidden": "true", class: CSS.icon, classes: previousIconClasses }));
-            var paginationPreviousButtonNode = (widget_1.tsx("div", { role: "button", tabIndex: 0, bind: this, onclick: this._previous, onkeydown: this._previous, class: widget_1.join(CSS.button, CSS.paginationPrevious), "aria-label": i18n.previous, title: i18n.previous }, previousIconNode));
+            var paginationPreviousButtonNode = paginationEnabled ? (widget_1.tsx("div", { role: "button", key: buildKey("pagination-previous"), tabIndex: 0, bind: this, onclick: this._previous, onkeydown: this._previous, class: widget_1.join(CSS.button, CSS.paginationPrevious), "aria-label": this._messages.previous, title: this._messages.previous }, previousIconNode)) : null;
             var nextIconClasses = (_f = {},
                 _f[CSS.iconLeftTriangleArrow] = isRtl,
                 _f[CSS.paginationNextIconRTL] = isRtl,
@@ -1033,9 +1347,9 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
                 _f[CSS.paginationNextIconLTR] = !isRtl,
                 _f);
             var nextIconNode = (widget_1.tsx("span", { "aria-hidden": "true", class: CSS.icon, classes: nextIconClasses }));
-            var paginationNextButtonNode = (widget_1.tsx("div", { role: "button", tabIndex: 0, bind: this, onclick: this._next, onkeydown: this._next, class: widget_1.join(CSS.button, CSS.paginationNext), "aria-label": i18n.next, title: i18n.next }, nextIconNode));
-            var featureMenuToggleNode = (widget_1.tsx("div", { role: "button", tabIndex: 0, bind: this, onclick: this._toggleFeatureMenu, onkeydown: this._toggleFeatureMenu, afterCreate: this._storeFeatureMenuButtonNode, afterUpdate: this._storeFeatureMenuButtonNode, class: widget_1.join(CSS.button, CSS.featureMenuButton), "aria-label": i18n.menu, title: i18n.menu }, featureMenuIconNode));
-            var paginationTextNode = (widget_1.tsx("div", { class: CSS.paginationText }, pageText));
+            var paginationNextButtonNode = paginationEnabled ? (widget_1.tsx("div", { role: "button", key: buildKey("pagination-next"), tabIndex: 0, bind: this, onclick: this._next, onkeydown: this._next, class: widget_1.join(CSS.button, CSS.paginationNext), "aria-label": this._messages.next, title: this._messages.next }, nextIconNode)) : null;
+            var featureMenuToggleNode = featureMenuEnabled ? (widget_1.tsx("div", { role: "button", key: buildKey("feature-menu-toggle"), tabIndex: 0, bind: this, onclick: this._toggleFeatureMenu, onkeydown: this._toggleFeatureMenu, afterCreate: this._storeFeatureMenuButtonNode, afterUpdate: this._storeFeatureMenuButtonNode, class: widget_1.join(CSS.button, CSS.featureMenuButton), "aria-label": this._messages.menu, title: this._messages.menu }, featureMenuIconNode)) : null;
+            var paginationTextNode = paginationEnabled ? (widget_1.tsx("div", { key: buildKey("pagination-text"), class: CSS.paginationText }, pageText)) : null;
             var navigationButtonsNode = featureNavigationVisible ? (widget_1.tsx("div", { class: CSS.navigationButtons },
                 paginationPreviousButtonNode,
                 paginationTextNode,
@@ -1051,7 +1365,7 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             var dockTopIconNode = wouldDockToTop ? (widget_1.tsx("span", { "aria-hidden": "true", key: buildKey("dock-top-icon"), class: widget_1.join(CSS.icon, CSS.iconDock, CSS.iconDockToTop) })) : null;
             var dockBottomIconNode = wouldDockToBottom ? (widget_1.tsx("span", { "aria-hidden": "true", key: buildKey("dock-bottom-icon"), class: widget_1.join(CSS.icon, CSS.iconDock, CSS.iconDockToBottom) })) : null;
             var undockIconNode = dockEnabled ? (widget_1.tsx("span", { "aria-hidden": "true", key: buildKey("undocked-icon"), class: widget_1.join(CSS.icon, CSS.iconUndock) })) : null;
-            var dockButtonNode = dockOptions.buttonEnabled ? (widget_1.tsx("div", { role: "button", "aria-label": dockTitle, title: dockTitle, tabIndex: 0, bind: this, onclick: this._toggleDockEnabled, onkeydown: this._toggleDockEnabled, class: widget_1.join(CSS.button, CSS.buttonDock) },
+            var dockButtonNode = dockOptions.buttonEnabled && dockButtonEnabled ? (widget_1.tsx("div", { role: "button", "aria-label": dockTitle, title: dockTitle, tabIndex: 0, bind: this, onclick: this._toggleDockEnabled, onkeydown: this._toggleDockEnabled, class: widget_1.join(CSS.button, CSS.buttonDock) },
                 dockRightIconNode,
                 dockTopIconNode,
                 dockLeftIconNode,
@@ -1064,15 +1378,20 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             var titleRole = canBeCollapsed ? "button" : "heading";
             var titleLabel = canBeCollapsed ?
                 contentVisible ?
-                    i18n.expand :
-                    i18n.collapse :
+                    this._messages.expand :
+                    this._messages.collapse :
                 "";
             var titleNode = title ? (widget_1.tsx("h1", { class: CSS.headerTitle, role: titleRole, "aria-label": titleLabel, title: titleLabel, classes: titleClasses, bind: this, tabIndex: canBeCollapsed ? 0 : -1, onclick: this._toggleCollapsed, onkeydown: this._toggleCollapsed, innerHTML: title })) : null;
             var closeIconNode = (widget_1.tsx("span", { "aria-hidden": "true", class: widget_1.join(CSS.icon, CSS.iconClose) }));
-            var closeButtonNode = (widget_1.tsx("div", { role: "button", tabIndex: 0, bind: this, onclick: this._close, onkeydown: this._close, class: CSS.button, "aria-label": i18n.close, title: i18n.close }, closeIconNode));
-            var headerNode = (widget_1.tsx("header", { class: CSS.header },
+            var closeButtonNode = closeButtonEnabled ? (widget_1.tsx("div", { role: "button", key: buildKey("close"), tabIndex: 0, bind: this, onclick: this._close, onkeydown: this._close, class: CSS.button, "aria-label": this._messages.close, title: this._messages.close }, closeIconNode)) : null;
+            var isCircle = this.shape === "circle" && !dockEnabled;
+            var isCircleCollapsed = this._isCircleCollapsed();
+            var circleCollapseButtonNode = isCircle ? (widget_1.tsx("div", { role: "button", key: buildKey("circle-collapse"), tabIndex: 0, bind: this, onclick: this._collapseToCircle, onkeydown: this._collapseToCircle, class: CSS.button, "aria-label": this._messages.collapseToCircle, title: this._messages.collapseToCircle },
+                widget_1.tsx("span", { "aria-hidden": "true", class: widget_1.join(CSS.icon, CSS.iconCircleCollapse) }))) : null;
+            var headerNode = (widget_1.tsx("header", { class: CSS.header, bind: this, onpointerdown: this._startDrag },
                 titleNode,
-                widget_1.tsx("div", { class: CSS.headerButtons },
+                widget_1.tsx("div", { class: CSS.headerButtons, bind: this, afterCreate: this._storeHeaderButtonsNode, afterUpdate: this._storeHeaderButtonsNode },
+                    circleCollapseButtonNode,
                     dockButtonNode,
                     closeButtonNode)));
             var contentNode = hasContent && !contentVisible ? (widget_1.tsx("article", { key: buildKey("content-container"), class: CSS.content }, content)) : null;
@@ -1105,7 +1424,7 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             }
             var infoText = esriLang.substitute({
                 total: popupRenderers.length
-            }, i18n.selectedFeatures);
+            }, this._messages.selectedFeatures);
             var menuNode = (widget_1.tsx("section", { key: buildKey("menu"), class: CSS.featureMenu },
                 widget_1.tsx("h2", { class: CSS.featureMenuHeader }, infoText),
                 widget_1.tsx("nav", { class: CSS.featureMenuViewport, afterCreate: this._storeFeatureMenuViewportNode, afterUpdate: this._storeFeatureMenuViewportNode }, featureMenuNode)));
@@ -1114,32 +1433,57 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             }
             var pointerNode = !dockEnabled ? (widget_1.tsx("div", { key: buildKey("pointer"), class: CSS.pointer, role: "presentation" },
                 widget_1.tsx("div", { class: widget_1.join(CSS.pointerDirection, CSS.shadow) }))) : null;
-            var pinNode = dockEnabled ? (widget_1.tsx("div", { key: buildKey("ecpin"), class: CSS.ecpin, role: "presentation", bind: this, onclick: this._triggerEcPin },
-                widget_1.tsx("span", { "aria-hidden": "true", class: widget_1.join(CSS.icon, CSS.iconEcPin) }))) : null;
-            var containerClasses = (_h = {},
-                _h[CSS.alignTopCenter] = currentAlignment === "top-center",
-                _h[CSS.alignBottomCenter] = currentAlignment === "bottom-center",
-                _h[CSS.alignTopLeft] = currentAlignment === "top-left",
-                _h[CSS.alignBottomLeft] = currentAlignment === "bottom-left",
-                _h[CSS.alignTopRight] = currentAlignment === "top-right",
-                _h[CSS.alignBottomRight] = currentAlignment === "bottom-right",
-                _h[CSS.isDocked] = dockEnabled,
-                _h[CSS.isDockedFloatPop] = dockEnabled,
-                _h[CSS.shadow] = !dockEnabled,
-                _h[CSS.hasFeatureUpdated] = visible,
-                _h[CSS.isDockedTopLeft] = currentDockPosition === "top-left",
-                _h[CSS.isDockedTopCenter] = currentDockPosition === "top-center",
-                _h[CSS.isDockedTopRight] = currentDockPosition === "top-right",
-                _h[CSS.isDockedBottomLeft] = currentDockPosition === "bottom-left",
-                _h[CSS.isDockedBottomCenter] = currentDockPosition === "bottom-center",
-                _h[CSS.isDockedBottomRight] = currentDockPosition === "bottom-right",
-                _h[CSS.isFeatureMenuOpen] = isFeatureMenuOpen,
+            var hasNumber = number != null;
+            var hasPinButton = pinButtonEnabled;
+            var pinIconNode = hasPinButton ? (widget_1.tsx("span", { key: buildKey("ecpin-icon"), "aria-hidden": "true", class: widget_1.join(CSS.icon, CSS.iconEcPin) })) : null;
+            var pinNumberNode = hasNumber ? (widget_1.tsx("span", { key: buildKey("ecpin-number"), class: CSS.ecpinNumber, "aria-label": esriLang.substitute({ number: number }, this._messages.number) }, "" + number)) : null;
+            var pinLabel = hasPinButton ?
+                pinned ?
+                    this._messages.unpin :
+                    this._messages.pin :
+                undefined;
+            var pinClasses = (_h = {},
+                _h[CSS.ecpinDisabled] = !hasPinButton,
+                _h[CSS.ecpinActive] = pinned,
                 _h);
+            var pinNode = hasPinButton || hasNumber ? (widget_1.tsx("div", { key: buildKey("ecpin"), class: CSS.ecpin, classes: pinClasses, role: hasPinButton ? "button" : "presentation", "aria-pressed": hasPinButton ? "" + pinned : undefined, "aria-label": pinLabel, title: pinLabel, bind: this, onclick: this._triggerEcPin },
+                pinIconNode,
+                pinNumberNode)) : null;
+            var circleLabel = isCircleCollapsed ? this._getCircleLabel() : null;
+            var circleContentNode = circleLabel ? (widget_1.tsx("span", { key: buildKey("circle-text"), class: CSS.circleText }, circleLabel)) : (widget_1.tsx("span", { key: buildKey("circle-icon"), "aria-hidden": "true", class: widget_1.join(CSS.icon, CSS.iconEcPin) }));
+            var circleNode = isCircleCollapsed ? (widget_1.tsx("div", { key: buildKey("circle"), class: CSS.circle, role: "button", tabIndex: 0, bind: this, onclick: this._toggleExpanded, onkeydown: this._toggleExpanded, "aria-label": this._messages.expand, title: title ? title.replace(/<[^>]*>/g, "") : this._messages.expand }, circleContentNode)) : null;
+            // a card shown by hovering the bubble is placed above it, whatever the alignment
+            var alignment = this._isCircleHoverExpanded() ? "top-center" : currentAlignment;
+            var containerClasses = (_j = {},
+                _j[CSS.alignTopCenter] = !isCircleCollapsed && alignment === "top-center",
+                _j[CSS.alignBottomCenter] = !isCircleCollapsed && alignment === "bottom-center",
+                _j[CSS.alignTopLeft] = !isCircleCollapsed && alignment === "top-left",
+                _j[CSS.alignBottomLeft] = !isCircleCollapsed && alignment === "bottom-left",
+                _j[CSS.alignTopRight] = !isCircleCollapsed && alignment === "top-right",
+                _j[CSS.alignBottomRight] = !isCircleCollapsed && alignment === "bottom-right",
+                _j[CSS.isCircle] = isCircleCollapsed,
+                _j[CSS.isDraggable] = this.dragEnabled && !dockEnabled,
+                _j[CSS.isDragging] = !!this._dragState,
+                _j[CSS.isPinned] = pinned,
+                _j[CSS.isFlashing] = !!this._flashTimer,
+                _j[CSS.isActive] = this.active,
+                _j[CSS.isDocked] = dockEnabled,
+                _j[CSS.isDockedFloatPop] = dockEnabled,
+                _j[CSS.shadow] = !dockEnabled,
+                _j[CSS.hasFeatureUpdated] = visible,
+                _j[CSS.isDockedTopLeft] = currentDockPosition === "top-left",
+                _j[CSS.isDockedTopCenter] = currentDockPosition === "top-center",
+                _j[CSS.isDockedTopRight] = currentDockPosition === "top-right",
+                _j[CSS.isDockedBottomLeft] = currentDockPosition === "bottom-left",
+                _j[CSS.isDockedBottomCenter] = currentDockPosition === "bottom-center",
+                _j[CSS.isDockedBottomRight] = currentDockPosition === "bottom-right",
+                _j[CSS.isFeatureMenuOpen] = isFeatureMenuOpen,
+                _j);
             var layerTitle = this.get("selectedFeature.layer.title");
             var layerId = this.get("selectedFeature.layer.id");
-            var mainContainerClasses = (_j = {},
-                _j[CSS.shadow] = dockEnabled,
-                _j);
+            var mainContainerClasses = (_k = {},
+                _k[CSS.shadow] = dockEnabled,
+                _k);
             var hasPromises = !!promiseCount;
             var hasFeatures = !!featureCount;
             var canBeDisplayed = hasPromises ? hasFeatures : true;
@@ -1148,8 +1492,10 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             var menuBottomNode = showButtonsBottom ? menuNode : null;
             var buttonsTopNode = showButtonsTop ? featureButtonsNode : null;
             var buttonsBottomNode = showButtonsBottom ? featureButtonsNode : null;
-            var containerNode = isVisible ? (widget_1.tsx("div", { key: buildKey("container"), class: CSS.container, classes: containerClasses, "data-layer-title": layerTitle, "data-layer-id": layerId, bind: this, afterCreate: this._positionContainer, afterUpdate: this._positionContainer },
-                widget_1.tsx("div", { class: CSS.ecpinWrapper },
+            var dialogLabel = title ? title.replace(/<[^>]*>/g, "") : this._messages.untitled;
+            var containerNode = isVisible ? (widget_1.tsx("div", { key: buildKey("container"), class: CSS.container, classes: containerClasses, role: "dialog", "aria-label": dialogLabel, tabIndex: -1, "data-layer-title": layerTitle, "data-layer-id": layerId, bind: this, onclick: this._keepCircleExpanded, onmouseenter: this._circleMouseEnter, onmouseleave: this._circleMouseLeave, afterCreate: this._positionContainer, afterUpdate: this._positionContainer },
+                circleNode,
+                isCircleCollapsed ? null : (widget_1.tsx("div", { key: buildKey("ecpin-wrap"), class: CSS.ecpinWrapper },
                     pinNode,
                     widget_1.tsx("div", { class: widget_1.join(CSS.main, CSS.widget), classes: mainContainerClasses, bind: this, afterCreate: this._storeMainContainerNode, afterUpdate: this._storeMainContainerNode },
                         buttonsTopNode,
@@ -1157,16 +1503,53 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
                         headerNode,
                         contentNode,
                         buttonsBottomNode,
-                        menuBottomNode)),
+                        menuBottomNode))),
                 pointerNode)) : null;
-            return (widget_1.tsx("div", { key: buildKey("base"), class: CSS.base, role: "presentation" }, containerNode));
-            var _d, _e, _f, _g, _h, _j;
+            return (widget_1.tsx("div", { key: buildKey("base"), class: CSS.base, role: "presentation", styles: { zIndex: this.zIndex != null ? "" + this.zIndex : "" } },
+                isVisible ? this._renderLeaderLine() : null,
+                containerNode));
+            var _d, _e, _f, _g, _h, _j, _k;
         };
         //--------------------------------------------------------------------------
         //
         //  Private Methods
         //
         //--------------------------------------------------------------------------
+        FloatPop.prototype._isCircleCollapsed = function () {
+            return this.shape === "circle" && !this.dockEnabled && !this.expanded && !this._circleHovered;
+        };
+        FloatPop.prototype._isCircleHoverExpanded = function () {
+            return this.shape === "circle" && !this.dockEnabled && !this.expanded && this._circleHovered;
+        };
+        FloatPop.prototype._getCircleLabel = function () {
+            var _a = this, circleLabelField = _a.circleLabelField, number = _a.number;
+            var attributes = this.get("selectedFeature.attributes");
+            var value = circleLabelField && attributes ? attributes[circleLabelField] : null;
+            if (value != null && value !== "") {
+                return "" + value;
+            }
+            return number != null ? "" + number : null;
+        };
+        FloatPop.prototype._circleMouseEnter = function () {
+            if (this.shape !== "circle" || this._circleHovered) {
+                return;
+            }
+            this._circleHovered = true;
+            this.reposition();
+        };
+        FloatPop.prototype._keepCircleExpanded = function () {
+            // a click inside a card shown by hovering keeps it open once the pointer leaves
+            if (this._circleHovered && !this.expanded) {
+                this.expanded = true;
+            }
+        };
+        FloatPop.prototype._circleMouseLeave = function () {
+            if (!this._circleHovered) {
+                return;
+            }
+            this._circleHovered = false;
+            this.reposition();
+        };
         FloatPop.prototype._setTitleFromPopupRenderer = function (title) {
             this.viewModel.title = title || "";
         };
@@ -1219,7 +1602,7 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             this._handleRegistry.add(actionHandle, actionsKey);
             var selectedFeatureAttributes = this.get("selectedFeature.attributes");
             if (action.id === ZOOM_TO_ACTION_ID) {
-                action.title = i18n.zoom;
+                action.title = this._messages.zoom;
                 action.className = CSS.iconZoom;
             }
             var actionTitle = action.title, actionClassName = action.className;
@@ -1415,9 +1798,9 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             var itemClasses = (_a = {},
                 _a[CSS.featureMenuSelected] = isSelectedFeature,
                 _a);
-            var itemLabel = popupRenderer.title || i18n.untitled;
+            var itemLabel = popupRenderer.title || this._messages.untitled;
             var checkMarkNode = isSelectedFeature ?
-                (widget_1.tsx("span", { key: buildKey("feature-menu-selected-feature-" + selectedFeatureIndex), title: i18n.selectedFeature, "aria-label": i18n.selectedFeature, class: CSS.iconCheckMark })) :
+                (widget_1.tsx("span", { key: buildKey("feature-menu-selected-feature-" + selectedFeatureIndex), title: this._messages.selectedFeature, "aria-label": this._messages.selectedFeature, class: CSS.iconCheckMark })) :
                 null;
             return (widget_1.tsx("li", { role: "menuitem", tabIndex: isSelectedFeature || !featureMenuOpen ? -1 : 0, key: buildKey("feature-menu-feature-" + selectedFeatureIndex), classes: itemClasses, class: CSS.featureMenuItem, title: itemLabel, "aria-label": itemLabel, bind: this, "data-feature-index": popupRendererIndex, onclick: this._selectFeature, onkeydown: this._selectFeature },
                 widget_1.tsx("span", { class: CSS.featureMenuTitle },
@@ -1536,6 +1919,34 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
                 };
             }
         };
+        FloatPop.prototype._calculateCirclePosition = function (x, y, view, width) {
+            // the bubble always sits centered above its location, with a shorter pointer than the card
+            return {
+                bottom: view.height - y + this._circlePointerOffsetInPx,
+                left: x - width / 2
+            };
+        };
+        FloatPop.prototype._getShift = function () {
+            var _a = this, displacement = _a.displacement, offset = _a.offset;
+            var x = (displacement ? displacement.x : 0) + (offset ? offset.x : 0);
+            var y = (displacement ? displacement.y : 0) + (offset ? offset.y : 0);
+            return x || y ? { x: x, y: y } : null;
+        };
+        FloatPop.prototype._renderLeaderLine = function () {
+            var shift = this._getShift();
+            var screenLocation = this.get("viewModel.screenLocation");
+            if (!shift || !screenLocation || this.dockEnabled) {
+                return null;
+            }
+            var length = Math.sqrt(shift.x * shift.x + shift.y * shift.y);
+            var angle = Math.atan2(shift.y, shift.x) * 180 / Math.PI;
+            return (widget_1.tsx("div", { key: buildKey("leader-line"), class: CSS.leaderLine, role: "presentation", styles: {
+                    left: screenLocation.x + "px",
+                    top: screenLocation.y + "px",
+                    width: length + "px",
+                    transform: "rotate(" + angle + "deg)"
+                } }));
+        };
         FloatPop.prototype._calculatePositionStyle = function (screenLocation, domGeometryBox) {
             var _a = this, dockEnabled = _a.dockEnabled, view = _a.view;
             if (!view) {
@@ -1561,11 +1972,31 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             if (!screenLocation || !domGeometryBox) {
                 return;
             }
-            var width = this._calculateFullWidth(domGeometryBox.w);
-            var position = this._calculateAlignmentPosition(screenLocation.x, screenLocation.y, view, width);
+            // a card opened by hovering the bubble is anchored where the bubble is, so that it covers
+            // the bubble and the pointer stays inside it instead of leaving and re-entering endlessly
+            var position = this._isCircleCollapsed() ?
+                this._calculateCirclePosition(screenLocation.x, screenLocation.y, view, domGeometryBox.w) :
+                this._isCircleHoverExpanded() ?
+                    this._calculateCirclePosition(screenLocation.x, screenLocation.y, view, this._calculateFullWidth(domGeometryBox.w)) :
+                    this._calculateAlignmentPosition(screenLocation.x, screenLocation.y, view, this._calculateFullWidth(domGeometryBox.w));
             if (!position) {
                 return;
             }
+            var shift = this._getShift();
+            if (shift) {
+                if (position.left !== undefined) {
+                    position.left += shift.x;
+                }
+                else {
+                    position.right -= shift.x;
+                }
+                if (position.top !== undefined) {
+                    position.top += shift.y;
+                }
+                else {
+                    position.bottom -= shift.y;
+                }
+            }
             return {
                 top: position.top !== undefined ?
                     position.top + "px" :
@@ -1650,6 +2081,82 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             _containerNode.offsetHeight;
             _containerNode.classList.add(CSS.hasFeatureUpdated);
         };
+        FloatPop.prototype._storeHeaderButtonsNode = function (element) {
+            this._headerButtonsNode = element;
+        };
+        FloatPop.prototype._startDrag = function (event) {
+            var _this = this;
+            var target = event.target;
+            if (!this.dragEnabled || this.dockEnabled || event.button !== 0 ||
+                (this._headerButtonsNode && this._headerButtonsNode.contains(target))) {
+                return;
+            }
+            // take over the layout displacement so the popup doesn't jump when the drag starts
+            var offset = this._getShift() || { x: 0, y: 0 };
+            if (this.displacement) {
+                this.offset = offset;
+                this.displacement = null;
+            }
+            this._dragState = {
+                x: event.clientX,
+                y: event.clientY,
+                offset: offset,
+                moved: false
+            };
+            this._handleRegistry.add([
+                on(document, "pointermove", function (moveEvent) { return _this._drag(moveEvent); }),
+                on(document, "pointerup", function () { return _this._stopDrag(); }),
+                on(document, "pointercancel", function () { return _this._stopDrag(); })
+            ], "drag");
+            event.preventDefault();
+            this.scheduleRender();
+        };
+        FloatPop.prototype._drag = function (event) {
+            var state = this._dragState;
+            if (!state) {
+                return;
+            }
+            var dx = event.clientX - state.x;
+            var dy = event.clientY - state.y;
+            if (!state.moved && Math.abs(dx) + Math.abs(dy) < 3) {
+                return;
+            }
+            state.moved = true;
+            this.offset = {
+                x: state.offset.x + dx,
+                y: state.offset.y + dy
+            };
+        };
+        FloatPop.prototype._stopDrag = function () {
+            var _this = this;
+            var state = this._dragState;
+            if (!state) {
+                return;
+            }
+            this._dragState = null;
+            this._handleRegistry.remove("drag");
+            if (state.moved) {
+                this._suppressClick = true;
+                setTimeout(function () { return _this._suppressClick = false; }, 0);
+            }
+            this.scheduleRender();
+        };
+        FloatPop.prototype._loadMessages = function (locale) {
+            var _this = this;
+            if (!locale) {
+                this._messages = i18n;
+                this.scheduleRender();
+                return;
+            }
+            require(["dojo/i18n!ec-widgets/FloatPop/nls/" + locale.toLowerCase() + "/FloatPop"], function (messages) {
+                // ignore the strings of a locale that was replaced while loading
+                if (_this.destroyed || _this.locale !== locale) {
+                    return;
+                }
+                _this._messages = messages;
+                _this.scheduleRender();
+            });
+        };
         FloatPop.prototype._storeMainContainerNode = function (element) {
             this._mainContainerNode = element;
         };
@@ -1686,7 +2193,7 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             return esriLang.substitute({
                 index: selectedFeatureIndex + 1,
                 total: featureCount
-            }, i18n.pageText);
+            }, this._messages.pageText);
         };
         FloatPop.prototype._destroySpinner = function () {
             if (this._spinner) {
@@ -1708,8 +2215,19 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             this.featureMenuOpen = false;
         };
         FloatPop.prototype._toggleCollapsed = function () {
+            // the click that ends dragging the title doesn't collapse the popup
+            if (this._suppressClick) {
+                return;
+            }
             this.collapsed = !this.collapsed;
         };
+        FloatPop.prototype._toggleExpanded = function () {
+            this.expanded = !this.expanded;
+        };
+        FloatPop.prototype._collapseToCircle = function () {
+            this._circleHovered = false;
+            this.expanded = false;
+        };
         FloatPop.prototype._close = function () {
             this.close();
         };
@@ -1722,7 +2240,10 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
         FloatPop.prototype._triggerEcPin = function (event) {
             event.preventDefault();
             event.stopPropagation();
-            this.viewModel.triggerAction(0);
+            if (!this.pinButtonEnabled) {
+                return;
+            }
+            this.triggerPin();
         };
         FloatPop.prototype._triggerAction = function (event) {
             var node = event.currentTarget;
@@ -1749,6 +2270,10 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             decorators_1.aliasOf("viewModel.actions"),
             widget_1.renderable()
         ], FloatPop.prototype, "actions", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "active", void 0);
         __decorate([
             decorators_1.property()
         ], FloatPop.prototype, "alignment", void 0);
@@ -1759,6 +2284,14 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             decorators_1.aliasOf("viewModel.content"),
             widget_1.renderable()
         ], FloatPop.prototype, "content", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "circleLabelField", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "closeButtonEnabled", void 0);
         __decorate([
             decorators_1.property(),
             widget_1.renderable()
@@ -1787,6 +2320,18 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             }),
             widget_1.renderable()
         ], FloatPop.prototype, "currentDockPosition", null);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "displacement", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "dragEnabled", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "dockButtonEnabled", void 0);
         __decorate([
             decorators_1.property(),
             widget_1.renderable()
@@ -1795,10 +2340,18 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             decorators_1.property(),
             widget_1.renderable()
         ], FloatPop.prototype, "dockEnabled", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "expanded", void 0);
         __decorate([
             decorators_1.aliasOf("viewModel.featureCount"),
             widget_1.renderable()
         ], FloatPop.prototype, "featureCount", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "featureMenuEnabled", void 0);
         __decorate([
             decorators_1.property(),
             widget_1.renderable()
@@ -1814,10 +2367,35 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
         __decorate([
             decorators_1.aliasOf("viewModel.highlightEnabled")
         ], FloatPop.prototype, "highlightEnabled", void 0);
+        __decorate([
+            decorators_1.property({
+                value: null
+            })
+        ], FloatPop.prototype, "locale", null);
         __decorate([
             decorators_1.aliasOf("viewModel.location"),
             widget_1.renderable()
         ], FloatPop.prototype, "location", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "number", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "offset", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "paginationEnabled", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "pinButtonEnabled", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "pinned", void 0);
         __decorate([
             decorators_1.property({
                 readOnly: true
@@ -1841,6 +2419,10 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             }),
             widget_1.renderable()
         ], FloatPop.prototype, "selectedPopupRenderer", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "shape", void 0);
         __decorate([
             decorators_1.property()
         ], FloatPop.prototype, "spinnerEnabled", void 0);
@@ -1872,6 +2454,10 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
             decorators_1.aliasOf("viewModel.visible"),
             widget_1.renderable()
         ], FloatPop.prototype, "visible", void 0);
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable()
+        ], FloatPop.prototype, "zIndex", void 0);
         __decorate([
             decorators_1.aliasOf("viewModel.clear")
         ], FloatPop.prototype, "clear", null);
@@ -1887,6 +2473,12 @@ define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/
         __decorate([
             widget_1.accessibleHandler()
         ], FloatPop.prototype, "_toggleCollapsed", null);
+        __decorate([
+            widget_1.accessibleHandler()
+        ], FloatPop.prototype, "_toggleExpanded", null);
+        __decorate([
+            widget_1.accessibleHandler()
+        ], FloatPop.prototype, "_collapseToCircle", null);
         __decorate([
             widget_1.accessibleHandler()
         ], FloatPop.prototype, "_close", null);
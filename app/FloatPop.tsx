@@ -118,7 +118,7 @@ import Action = require("esri/support/Action");
 import PopupRenderer = require("esri/widgets/Popup/PopupRenderer");
 import PopupViewModel = require("esri/widgets/Popup/PopupViewModel");
 
-import i18n = require("dojo/i18n!esri/widgets/Popup/nls/Popup");
+import i18n = require("dojo/i18n!ec-widgets/FloatPop/nls/FloatPop");
 
 import Graphic = require("esri/Graphic");
 
@@ -132,6 +132,7 @@ import MapView = require("esri/views/MapView");
 import SceneView = require("esri/views/SceneView");
 
 import domGeometry = require("dojo/dom-geometry");
+import on = require("dojo/on");
 
 import _WidgetBase = require("dijit/_WidgetBase");
 
@@ -152,6 +153,7 @@ const CSS = {
   iconLoading: "esri-rotating esri-icon-loading-indicator",
   iconZoom: "esri-icon-zoom-in-magnifying-glass",
   iconEcPin: "esri-icon-map-pin",
+  iconCircleCollapse: "esri-icon-collapse",
   // base
   base: "esri-popup",
   // containers
@@ -201,6 +203,20 @@ const CSS = {
   // ec widgets float pop pin
   ecpinWrapper: "ec-widgets-floatpop__pin-wrap",
   ecpin: "ec-widgets-floatpop__pin",
+  ecpinNumber: "ec-widgets-floatpop__pin-number",
+  ecpinDisabled: "ec-widgets-floatpop__pin--disabled",
+  ecpinActive: "ec-widgets-floatpop__pin--active",
+  isPinned: "ec-widgets-floatpop--pinned",
+  // ec widgets float pop circle
+  isCircle: "ec-widgets-floatpop--circle",
+  circle: "ec-widgets-floatpop__circle",
+  circleText: "ec-widgets-floatpop__circle-text",
+  isDraggable: "ec-widgets-floatpop--draggable",
+  isDragging: "ec-widgets-floatpop--dragging",
+  isFlashing: "ec-widgets-floatpop--flashing",
+  isActive: "ec-widgets-floatpop--active",
+  // ec widgets float pop leader line
+  leaderLine: "ec-widgets-floatpop__leader-line",
   // navigation
   navigation: "esri-popup__navigation",
   navigationButtons: "esri-popup__navigation-buttons",
@@ -236,6 +252,8 @@ const DOCK_OPTIONS: __esri.PopupDockOptions = {
 
 const WIDGET_KEY_PARTIAL = "esri-popup";
 
+const FLASH_DURATION = 1200;
+
 function buildKey(element: string, index?: number): string {
   if (index === undefined) {
     return `${WIDGET_KEY_PARTIAL}__${element}`;
@@ -244,6 +262,18 @@ function buildKey(element: string, index?: number): string {
   return `${WIDGET_KEY_PARTIAL}__${element}-${index}`;
 }
 
+interface ScreenShift {
+  x: number;
+  y: number;
+}
+
+interface ScreenBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
 function isWidget(value: any): value is Widget {
   return value && value.isInstanceOf && value.isInstanceOf(Widget);
 }
@@ -258,6 +288,12 @@ function isWidgetBase(value: any): value is _WidgetBase {
     typeof value.startup === "function";
 }
 
+/**
+ * Fires after the user clicks the pin of a popup and [pinned](#pinned) is toggled.
+ *
+ * @event module:esri/widgets/Popup#trigger-pin
+ */
+
 /**
  * Fires after the user clicks on an {@link module:esri/support/Action action} inside a popup. This
  * event may be used to define a custom function to execute when particular
@@ -347,7 +383,11 @@ class FloatPop extends declared(Widget) {
         "viewModel.visible",
         "viewModel.waitingForResult",
         "viewModel.location",
-        "alignment"
+        "alignment",
+        "shape",
+        "expanded",
+        "displacement",
+        "offset"
       ], () => this.reposition()),
 
       closeFeatureMenuHandle,
@@ -387,6 +427,8 @@ class FloatPop extends declared(Widget) {
   }
 
   destroy() {
+    clearTimeout(this._flashTimer);
+    this._stopDrag();
     this._destroyPopupRenderers();
     this._destroySpinner();
     this._handleRegistry.destroy();
@@ -413,6 +455,20 @@ class FloatPop extends declared(Widget) {
 
   private _pointerOffsetInPx = 16;
 
+  private _circlePointerOffsetInPx = 8;
+
+  private _circleHovered = false;
+
+  private _headerButtonsNode: HTMLDivElement = null;
+
+  private _dragState: { x: number; y: number; offset: ScreenShift; moved: boolean } = null;
+
+  private _suppressClick = false;
+
+  private _messages = i18n;
+
+  private _flashTimer = 0;
+
   private _spinner: Spinner = null;
 
   private _closeFeatureMenuHandle: any = null;
@@ -489,6 +545,24 @@ class FloatPop extends declared(Widget) {
   @renderable()
   actions: Collection<Action> = null;
 
+  //----------------------------------
+  //  active
+  //----------------------------------
+
+  /**
+   * Indicates whether the popup is the one the user is working with. `FloatPopManager` marks
+   * its `activePop` as active.
+   *
+   * @name active
+   * @instance
+   *
+   * @type {boolean}
+   * @default false
+   */
+  @property()
+  @renderable()
+  active = false;
+
   //----------------------------------
   //  alignment
   //----------------------------------
@@ -553,6 +627,42 @@ class FloatPop extends declared(Widget) {
   @renderable()
   content: any = null;
 
+  //----------------------------------
+  //  circleLabelField
+  //----------------------------------
+
+  /**
+   * Name of the attribute of the [selected feature](#selectedFeature) displayed inside the bubble
+   * when [shape](#shape) is `circle`. When not set, or when the attribute is empty, the [number](#number)
+   * is displayed, and an icon if there is no number either.
+   *
+   * @name circleLabelField
+   * @instance
+   *
+   * @type {string}
+   * @default null
+   */
+  @property()
+  @renderable()
+  circleLabelField: string = null;
+
+  //----------------------------------
+  //  closeButtonEnabled
+  //----------------------------------
+
+  /**
+   * Indicates whether the close button displays in the header.
+   *
+   * @name closeButtonEnabled
+   * @instance
+   *
+   * @type {boolean}
+   * @default true
+   */
+  @property()
+  @renderable()
+  closeButtonEnabled = true;
+
   //----------------------------------
   //  collapsed
   //----------------------------------
@@ -632,6 +742,60 @@ class FloatPop extends declared(Widget) {
     return this._getCurrentDockPosition();
   }
 
+  //----------------------------------
+  //  displacement
+  //----------------------------------
+
+  /**
+   * Screen offset in pixels, as `{ x, y }`, applied to the popup by the `FloatPopManager` layout
+   * to keep it from overlapping other pops. A leader line joins a displaced popup to its location.
+   *
+   * @name displacement
+   * @instance
+   *
+   * @type {Object}
+   * @default null
+   */
+  @property()
+  @renderable()
+  displacement: ScreenShift = null;
+
+  //----------------------------------
+  //  dragEnabled
+  //----------------------------------
+
+  /**
+   * Indicates whether the popup can be moved away from its [location](#location) by dragging
+   * its header. See [offset](#offset).
+   *
+   * @name dragEnabled
+   * @instance
+   *
+   * @type {boolean}
+   * @default true
+   */
+  @property()
+  @renderable()
+  dragEnabled = true;
+
+  //----------------------------------
+  //  dockButtonEnabled
+  //----------------------------------
+
+  /**
+   * Indicates whether the dock button displays in the header. The button also requires
+   * `buttonEnabled` in [dockOptions](#dockOptions).
+   *
+   * @name dockButtonEnabled
+   * @instance
+   *
+   * @type {boolean}
+   * @default true
+   */
+  @property()
+  @renderable()
+  dockButtonEnabled = true;
+
   //----------------------------------
   //  dockOptions
   //----------------------------------
@@ -748,6 +912,24 @@ class FloatPop extends declared(Widget) {
   @renderable()
   dockEnabled = false;
 
+  //----------------------------------
+  //  expanded
+  //----------------------------------
+
+  /**
+   * Indicates whether a popup with a `circle` [shape](#shape) displays the full card instead of
+   * the bubble. Clicking the bubble toggles this, hovering it shows the card until the pointer leaves.
+   *
+   * @name expanded
+   * @instance
+   *
+   * @type {boolean}
+   * @default false
+   */
+  @property()
+  @renderable()
+  expanded = false;
+
   //----------------------------------
   //  featureCount
   //----------------------------------
@@ -766,6 +948,23 @@ class FloatPop extends declared(Widget) {
   @renderable()
   featureCount: number = null;
 
+  //----------------------------------
+  //  featureMenuEnabled
+  //----------------------------------
+
+  /**
+   * Indicates whether the feature menu button displays when there are multiple [features](#features).
+   *
+   * @name featureMenuEnabled
+   * @instance
+   *
+   * @type {boolean}
+   * @default true
+   */
+  @property()
+  @renderable()
+  featureMenuEnabled = true;
+
   //----------------------------------
   //  featureMenuOpen
   //----------------------------------
@@ -859,6 +1058,27 @@ class FloatPop extends declared(Widget) {
   @aliasOf("viewModel.highlightEnabled")
   highlightEnabled: boolean = null;
 
+  //----------------------------------
+  //  locale
+  //----------------------------------
+
+  /**
+   * The locale of the popup strings, such as `en` or `zh-cn`. When not set, the locale of the
+   * page is used. The popup re-renders once the strings of a new locale are loaded.
+   *
+   * @name locale
+   * @instance
+   *
+   * @type {string}
+   */
+  @property({
+    value: null
+  })
+  set locale(value: string) {
+    this._set("locale", value);
+    this._loadMessages(value);
+  }
+
   //----------------------------------
   //  location
   //----------------------------------
@@ -900,6 +1120,97 @@ class FloatPop extends declared(Widget) {
   @renderable()
   location: Point = null;
 
+  //----------------------------------
+  //  number
+  //----------------------------------
+
+  /**
+   * The sequence number shown as a badge in the pin area of the popup. It is assigned
+   * by `FloatPopManager` when `autonumber` is enabled. No badge displays when `null`.
+   *
+   * @name number
+   * @instance
+   *
+   * @type {number}
+   * @default null
+   */
+  @property()
+  @renderable()
+  number: number = null;
+
+  //----------------------------------
+  //  offset
+  //----------------------------------
+
+  /**
+   * Screen offset in pixels, as `{ x, y }`, of a popup the user dragged away from its
+   * [location](#location). It is kept while the view pans and zooms, and a leader line
+   * joins the popup to its location.
+   *
+   * @name offset
+   * @instance
+   *
+   * @type {Object}
+   * @default null
+   */
+  @property()
+  @renderable()
+  offset: ScreenShift = null;
+
+  //----------------------------------
+  //  paginationEnabled
+  //----------------------------------
+
+  /**
+   * Indicates whether the previous and next buttons and the page text display when there are
+   * multiple [features](#features).
+   *
+   * @name paginationEnabled
+   * @instance
+   *
+   * @type {boolean}
+   * @default true
+   */
+  @property()
+  @renderable()
+  paginationEnabled = true;
+
+  //----------------------------------
+  //  pinButtonEnabled
+  //----------------------------------
+
+  /**
+   * Indicates whether the pin button displays in the pin area of the popup, docked or floating.
+   * The [number](#number) badge displays regardless.
+   *
+   * @name pinButtonEnabled
+   * @instance
+   *
+   * @type {boolean}
+   * @default true
+   */
+  @property()
+  @renderable()
+  pinButtonEnabled = true;
+
+  //----------------------------------
+  //  pinned
+  //----------------------------------
+
+  /**
+   * Indicates whether the popup is pinned. Clicking the pin toggles it. `FloatPopManager` never
+   * evicts a pinned popup to respect its `maxPops`, and keeps it open when `autoclose` is on.
+   *
+   * @name pinned
+   * @instance
+   *
+   * @type {boolean}
+   * @default false
+   */
+  @property()
+  @renderable()
+  pinned = false;
+
   //----------------------------------
   //  popupRenderers
   //----------------------------------
@@ -980,6 +1291,26 @@ class FloatPop extends declared(Widget) {
   @renderable()
   selectedPopupRenderer: PopupRenderer = null;
 
+  //----------------------------------
+  //  shape
+  //----------------------------------
+
+  /**
+   * The presentation of the popup. A `circle` popup displays as a compact bubble anchored at its
+   * [location](#location) and expands to the full card on hover or click. See [expanded](#expanded).
+   *
+   * **Known Values:** normal | circle
+   *
+   * @name shape
+   * @instance
+   *
+   * @type {string}
+   * @default normal
+   */
+  @property()
+  @renderable()
+  shape: "circle" | "normal" = "normal";
+
   //----------------------------------
   //  spinnerEnabled
   //----------------------------------
@@ -1088,6 +1419,23 @@ class FloatPop extends declared(Widget) {
   @renderable()
   visible: boolean = null;
 
+  //----------------------------------
+  //  zIndex
+  //----------------------------------
+
+  /**
+   * The stacking order of the popup among the other popups, the highest shows on top.
+   * When `null`, popups stack in the order they were created.
+   *
+   * @name zIndex
+   * @instance
+   *
+   * @type {number}
+   */
+  @property()
+  @renderable()
+  zIndex: number = null;
+
   //--------------------------------------------------------------------------
   //
   //  Public Methods
@@ -1114,6 +1462,54 @@ class FloatPop extends declared(Widget) {
     this.visible = false;
   }
 
+  /**
+   * The box of the displayed popup in view coordinates, as `{ x, y, width, height }`, including its
+   * [offset](#offset) but not its [displacement](#displacement). Returns `null` when the popup isn't
+   * displayed or is docked.
+   *
+   * @return {Object} The box of the popup.
+   */
+  getAnchoredBox(): ScreenBox {
+    const { _containerNode: containerNode, dockEnabled, visible } = this;
+
+    if (!containerNode || !containerNode.parentNode || dockEnabled || !visible) {
+      return null;
+    }
+
+    const displacement = this.displacement || { x: 0, y: 0 };
+
+    return {
+      x: containerNode.offsetLeft - displacement.x,
+      y: containerNode.offsetTop - displacement.y,
+      width: containerNode.offsetWidth,
+      height: containerNode.offsetHeight
+    };
+  }
+
+  /**
+   * Moves the keyboard focus to the popup, so its buttons can be reached with the tab key.
+   */
+  focus(): void {
+    const { _containerNode: containerNode } = this;
+
+    if (containerNode && containerNode.parentNode) {
+      containerNode.focus();
+    }
+  }
+
+  /**
+   * Briefly highlights the popup to draw the user's attention to it.
+   */
+  flash(): void {
+    clearTimeout(this._flashTimer);
+
+    this._flashTimer = setTimeout(() => {
+      this._flashTimer = 0;
+      this.scheduleRender();
+    }, FLASH_DURATION);
+    this.scheduleRender();
+  }
+
   /**
    * Selects the feature at the next index in relation to the selected feature.
    *
@@ -1239,15 +1635,31 @@ class FloatPop extends declared(Widget) {
   @aliasOf("viewModel.triggerAction")
   triggerAction(actionIndex: number): void { return null; }
 
+  /**
+   * Toggles [pinned](#pinned) and triggers the [trigger-pin](#event:trigger-pin) event, the
+   * same as clicking the pin.
+   */
+  triggerPin(): void {
+    this.pinned = !this.pinned;
+    this.emit("trigger-pin", {});
+  }
+
   render() {
     const {
       collapsed,
       collapseEnabled,
+      closeButtonEnabled,
+      dockButtonEnabled,
       dockEnabled,
       dockOptions,
       actions,
+      featureMenuEnabled,
       featureMenuOpen,
       featureNavigationEnabled,
+      number,
+      paginationEnabled,
+      pinButtonEnabled,
+      pinned,
       popupRenderers,
       visible
     } = this;
@@ -1261,8 +1673,8 @@ class FloatPop extends declared(Widget) {
       waitingForResult
     } = this.viewModel;
 
-    const featureNavigationVisible = featureCount > 1 && featureNavigationEnabled;
-    const isFeatureMenuOpen = featureCount > 1 && featureMenuOpen;
+    const featureNavigationVisible = featureCount > 1 && featureNavigationEnabled && (paginationEnabled || featureMenuEnabled);
+    const isFeatureMenuOpen = featureCount > 1 && featureMenuEnabled && featureMenuOpen;
     const contentVisible = collapseEnabled && !isFeatureMenuOpen && collapsed;
     const actionsCount = actions && actions.length;
     const pageText = featureNavigationVisible && this._getPageText(featureCount, selectedFeatureIndex);
@@ -1274,8 +1686,8 @@ class FloatPop extends declared(Widget) {
       content;
 
     const dockTitle = dockEnabled ?
-      i18n.undock :
-      i18n.dock;
+      this._messages.undock :
+      this._messages.dock;
 
     const {
       currentAlignment,
@@ -1285,8 +1697,8 @@ class FloatPop extends declared(Widget) {
     const loadingContainerNode = !!pendingPromisesCount ? (
       <div key={buildKey("loading-container")} role="presentation"
         class={CSS.loadingContainer}
-        aria-label={i18n.loading}
-        title={i18n.loading}>
+        aria-label={this._messages.loading}
+        title={this._messages.loading}>
         <span aria-hidden="true"
           class={join(CSS.icon, CSS.iconLoading)} />
       </div>
@@ -1314,18 +1726,19 @@ class FloatPop extends declared(Widget) {
         class={CSS.icon} classes={previousIconClasses} />
     );
 
-    const paginationPreviousButtonNode = (
+    const paginationPreviousButtonNode = paginationEnabled ? (
       <div role="button"
+        key={buildKey("pagination-previous")}
         tabIndex={0}
         bind={this}
         onclick={this._previous}
         onkeydown={this._previous}
         class={join(CSS.button, CSS.paginationPrevious)}
-        aria-label={i18n.previous}
-        title={i18n.previous}>
+        aria-label={this._messages.previous}
+        title={this._messages.previous}>
         {previousIconNode}
       </div>
-    );
+    ) : null;
 
     const nextIconClasses = {
       [CSS.iconLeftTriangleArrow]: isRtl,
@@ -1339,21 +1752,23 @@ class FloatPop extends declared(Widget) {
         class={CSS.icon} classes={nextIconClasses} />
     );
 
-    const paginationNextButtonNode = (
+    const paginationNextButtonNode = paginationEnabled ? (
       <div role="button"
+        key={buildKey("pagination-next")}
         tabIndex={0}
         bind={this}
         onclick={this._next}
         onkeydown={this._next}
         class={join(CSS.button, CSS.paginationNext)}
-        aria-label={i18n.next}
-        title={i18n.next}>
+        aria-label={this._messages.next}
+        title={this._messages.next}>
         {nextIconNode}
       </div>
-    );
+    ) : null;
 
-    const featureMenuToggleNode = (
+    const featureMenuToggleNode = featureMenuEnabled ? (
       <div role="button"
+        key={buildKey("feature-menu-toggle")}
         tabIndex={0}
         bind={this}
         onclick={this._toggleFeatureMenu}
@@ -1361,15 +1776,16 @@ class FloatPop extends declared(Widget) {
         afterCreate={this._storeFeatureMenuButtonNode}
         afterUpdate={this._storeFeatureMenuButtonNode}
         class={join(CSS.button, CSS.featureMenuButton)}
-        aria-label={i18n.menu}
-        title={i18n.menu}>
+        aria-label={this._messages.menu}
+        title={this._messages.menu}>
         {featureMenuIconNode}
       </div>
-    );
+    ) : null;
 
-    const paginationTextNode = (
-      <div class={CSS.paginationText}>{pageText}</div>
-    );
+    const paginationTextNode = paginationEnabled ? (
+      <div key={buildKey("pagination-text")}
+        class={CSS.paginationText}>{pageText}</div>
+    ) : null;
 
     const navigationButtonsNode = featureNavigationVisible ? (
       <div class={CSS.navigationButtons}>
@@ -1416,7 +1832,7 @@ class FloatPop extends declared(Widget) {
         class={join(CSS.icon, CSS.iconUndock)} />
     ) : null;
 
-    const dockButtonNode = dockOptions.buttonEnabled ? (
+    const dockButtonNode = dockOptions.buttonEnabled && dockButtonEnabled ? (
       <div role="button"
         aria-label={dockTitle}
         title={dockTitle}
@@ -1442,8 +1858,8 @@ class FloatPop extends declared(Widget) {
 
     const titleLabel = canBeCollapsed ?
       contentVisible ?
-        i18n.expand :
-        i18n.collapse :
+        this._messages.expand :
+        this._messages.collapse :
       "";
 
     const titleNode = title ? (
@@ -1464,23 +1880,48 @@ class FloatPop extends declared(Widget) {
         class={join(CSS.icon, CSS.iconClose)} />
     );
 
-    const closeButtonNode = (
+    const closeButtonNode = closeButtonEnabled ? (
       <div role="button"
+        key={buildKey("close")}
         tabIndex={0}
         bind={this}
         onclick={this._close}
         onkeydown={this._close}
         class={CSS.button}
-        aria-label={i18n.close}
-        title={i18n.close}>
+        aria-label={this._messages.close}
+        title={this._messages.close}>
         {closeIconNode}
       </div>
-    );
+    ) : null;
+
+    const isCircle = this.shape === "circle" && !dockEnabled;
+    const isCircleCollapsed = this._isCircleCollapsed();
+
+    const circleCollapseButtonNode = isCircle ? (
+      <div role="button"
+        key={buildKey("circle-collapse")}
+        tabIndex={0}
+        bind={this}
+        onclick={this._collapseToCircle}
+        onkeydown={this._collapseToCircle}
+        class={CSS.button}
+        aria-label={this._messages.collapseToCircle}
+        title={this._messages.collapseToCircle}>
+        <span aria-hidden="true"
+          class={join(CSS.icon, CSS.iconCircleCollapse)} />
+      </div>
+    ) : null;
 
     const headerNode = (
-      <header class={CSS.header}>
+      <header class={CSS.header}
+        bind={this}
+        onpointerdown={this._startDrag}>
         {titleNode}
-        <div class={CSS.headerButtons}>
+        <div class={CSS.headerButtons}
+          bind={this}
+          afterCreate={this._storeHeaderButtonsNode}
+          afterUpdate={this._storeHeaderButtonsNode}>
+          {circleCollapseButtonNode}
           {dockButtonNode}
           {closeButtonNode}
         </div>
@@ -1536,7 +1977,7 @@ class FloatPop extends declared(Widget) {
 
     const infoText = esriLang.substitute({
       total: popupRenderers.length
-    }, i18n.selectedFeatures);
+    }, this._messages.selectedFeatures);
 
     const menuNode = (
       <section key={buildKey("menu")}
@@ -1561,23 +2002,88 @@ class FloatPop extends declared(Widget) {
       </div>
     ) : null;
 
-    const pinNode = dockEnabled ? (
+    const hasNumber = number != null;
+
+    const hasPinButton = pinButtonEnabled;
+
+    const pinIconNode = hasPinButton ? (
+      <span key={buildKey("ecpin-icon")}
+        aria-hidden="true"
+        class={join(CSS.icon, CSS.iconEcPin)}></span>
+    ) : null;
+
+    const pinNumberNode = hasNumber ? (
+      <span key={buildKey("ecpin-number")}
+        class={CSS.ecpinNumber}
+        aria-label={esriLang.substitute({ number }, this._messages.number)}>{`${number}`}</span>
+    ) : null;
+
+    const pinLabel = hasPinButton ?
+      pinned ?
+        this._messages.unpin :
+        this._messages.pin :
+      undefined;
+
+    const pinClasses = {
+      [CSS.ecpinDisabled]: !hasPinButton,
+      [CSS.ecpinActive]: pinned
+    };
+
+    const pinNode = hasPinButton || hasNumber ? (
       <div key={buildKey("ecpin")} class={CSS.ecpin}
-        role="presentation"
+        classes={pinClasses}
+        role={hasPinButton ? "button" : "presentation"}
+        aria-pressed={hasPinButton ? `${pinned}` : undefined}
+        aria-label={pinLabel}
+        title={pinLabel}
         bind={this}
         onclick={this._triggerEcPin}>
-        <span aria-hidden="true"
-          class={join(CSS.icon, CSS.iconEcPin)}></span>
+        {pinIconNode}
+        {pinNumberNode}
+      </div>
+    ) : null;
+
+    const circleLabel = isCircleCollapsed ? this._getCircleLabel() : null;
+
+    const circleContentNode = circleLabel ? (
+      <span key={buildKey("circle-text")}
+        class={CSS.circleText}>{circleLabel}</span>
+    ) : (
+      <span key={buildKey("circle-icon")}
+        aria-hidden="true"
+        class={join(CSS.icon, CSS.iconEcPin)} />
+    );
+
+    const circleNode = isCircleCollapsed ? (
+      <div key={buildKey("circle")}
+        class={CSS.circle}
+        role="button"
+        tabIndex={0}
+        bind={this}
+        onclick={this._toggleExpanded}
+        onkeydown={this._toggleExpanded}
+        aria-label={this._messages.expand}
+        title={title ? title.replace(/<[^>]*>/g, "") : this._messages.expand}>
+        {circleContentNode}
       </div>
     ) : null;
 
+    // a card shown by hovering the bubble is placed above it, whatever the alignment
+    const alignment = this._isCircleHoverExpanded() ? "top-center" : currentAlignment;
+
     const containerClasses = {
-      [CSS.alignTopCenter]: currentAlignment === "top-center",
-      [CSS.alignBottomCenter]: currentAlignment === "bottom-center",
-      [CSS.alignTopLeft]: currentAlignment === "top-left",
-      [CSS.alignBottomLeft]: currentAlignment === "bottom-left",
-      [CSS.alignTopRight]: currentAlignment === "top-right",
-      [CSS.alignBottomRight]: currentAlignment === "bottom-right",
+      [CSS.alignTopCenter]: !isCircleCollapsed && alignment === "top-center",
+      [CSS.alignBottomCenter]: !isCircleCollapsed && alignment === "bottom-center",
+      [CSS.alignTopLeft]: !isCircleCollapsed && alignment === "top-left",
+      [CSS.alignBottomLeft]: !isCircleCollapsed && alignment === "bottom-left",
+      [CSS.alignTopRight]: !isCircleCollapsed && alignment === "top-right",
+      [CSS.alignBottomRight]: !isCircleCollapsed && alignment === "bottom-right",
+      [CSS.isCircle]: isCircleCollapsed,
+      [CSS.isDraggable]: this.dragEnabled && !dockEnabled,
+      [CSS.isDragging]: !!this._dragState,
+      [CSS.isPinned]: pinned,
+      [CSS.isFlashing]: !!this._flashTimer,
+      [CSS.isActive]: this.active,
       [CSS.isDocked]: dockEnabled,
       [CSS.isDockedFloatPop]: dockEnabled,
       [CSS.shadow]: !dockEnabled,
@@ -1608,35 +2114,50 @@ class FloatPop extends declared(Widget) {
     const buttonsTopNode = showButtonsTop ? featureButtonsNode : null;
     const buttonsBottomNode = showButtonsBottom ? featureButtonsNode : null;
 
+    const dialogLabel = title ? title.replace(/<[^>]*>/g, "") : this._messages.untitled;
+
     const containerNode = isVisible ? (
       <div key={buildKey("container")} class={CSS.container}
         classes={containerClasses}
+        role="dialog"
+        aria-label={dialogLabel}
+        tabIndex={-1}
         data-layer-title={layerTitle}
         data-layer-id={layerId}
         bind={this}
+        onclick={this._keepCircleExpanded}
+        onmouseenter={this._circleMouseEnter}
+        onmouseleave={this._circleMouseLeave}
         afterCreate={this._positionContainer}
         afterUpdate={this._positionContainer}>
-        <div class={CSS.ecpinWrapper}>
-          {pinNode}
-          <div class={join(CSS.main, CSS.widget)}
-            classes={mainContainerClasses}
-            bind={this}
-            afterCreate={this._storeMainContainerNode}
-            afterUpdate={this._storeMainContainerNode}>
-            {buttonsTopNode}
-            {menuTopNode}
-            {headerNode}
-            {contentNode}
-            {buttonsBottomNode}
-            {menuBottomNode}
+        {circleNode}
+        {isCircleCollapsed ? null : (
+          <div key={buildKey("ecpin-wrap")} class={CSS.ecpinWrapper}>
+            {pinNode}
+            <div class={join(CSS.main, CSS.widget)}
+              classes={mainContainerClasses}
+              bind={this}
+              afterCreate={this._storeMainContainerNode}
+              afterUpdate={this._storeMainContainerNode}>
+              {buttonsTopNode}
+              {menuTopNode}
+              {headerNode}
+              {contentNode}
+              {buttonsBottomNode}
+              {menuBottomNode}
+            </div>
           </div>
-        </div>
+        )}
         {pointerNode}
       </div>
     ) : null;
 
     return (
-      <div key={buildKey("base")} class={CSS.base} role="presentation">{containerNode}</div>
+      <div key={buildKey("base")} class={CSS.base} role="presentation"
+        styles={{ zIndex: this.zIndex != null ? `${this.zIndex}` : "" }}>
+        {isVisible ? this._renderLeaderLine() : null}
+        {containerNode}
+      </div>
     );
   }
 
@@ -1646,6 +2167,51 @@ class FloatPop extends declared(Widget) {
   //
   //--------------------------------------------------------------------------
 
+  private _isCircleCollapsed(): boolean {
+    return this.shape === "circle" && !this.dockEnabled && !this.expanded && !this._circleHovered;
+  }
+
+  private _isCircleHoverExpanded(): boolean {
+    return this.shape === "circle" && !this.dockEnabled && !this.expanded && this._circleHovered;
+  }
+
+  private _getCircleLabel(): string {
+    const { circleLabelField, number } = this;
+    const attributes = this.get<HashMap<any>>("selectedFeature.attributes");
+    const value = circleLabelField && attributes ? attributes[circleLabelField] : null;
+
+    if (value != null && value !== "") {
+      return `${value}`;
+    }
+
+    return number != null ? `${number}` : null;
+  }
+
+  private _circleMouseEnter(): void {
+    if (this.shape !== "circle" || this._circleHovered) {
+      return;
+    }
+
+    this._circleHovered = true;
+    this.reposition();
+  }
+
+  private _keepCircleExpanded(): void {
+    // a click inside a card shown by hovering keeps it open once the pointer leaves
+    if (this._circleHovered && !this.expanded) {
+      this.expanded = true;
+    }
+  }
+
+  private _circleMouseLeave(): void {
+    if (!this._circleHovered) {
+      return;
+    }
+
+    this._circleHovered = false;
+    this.reposition();
+  }
+
   private _setTitleFromPopupRenderer(title: string): void {
     this.viewModel.title = title || "";
   }
@@ -1717,7 +2283,7 @@ class FloatPop extends declared(Widget) {
     const selectedFeatureAttributes = this.get("selectedFeature.attributes");
 
     if (action.id === ZOOM_TO_ACTION_ID) {
-      action.title = i18n.zoom;
+      action.title = this._messages.zoom;
       action.className = CSS.iconZoom;
     }
 
@@ -1989,13 +2555,13 @@ class FloatPop extends declared(Widget) {
       [CSS.featureMenuSelected]: isSelectedFeature
     };
 
-    const itemLabel = popupRenderer.title || i18n.untitled;
+    const itemLabel = popupRenderer.title || this._messages.untitled;
 
     const checkMarkNode = isSelectedFeature ?
       (
         <span key={buildKey(`feature-menu-selected-feature-${selectedFeatureIndex}`)}
-          title={i18n.selectedFeature}
-          aria-label={i18n.selectedFeature}
+          title={this._messages.selectedFeature}
+          aria-label={this._messages.selectedFeature}
           class={CSS.iconCheckMark} />
       ) :
       null;
@@ -2171,6 +2737,46 @@ class FloatPop extends declared(Widget) {
     }
   }
 
+  private _calculateCirclePosition(x: number, y: number, view: MapView | SceneView, width: number): any {
+    // the bubble always sits centered above its location, with a shorter pointer than the card
+    return {
+      bottom: view.height - y + this._circlePointerOffsetInPx,
+      left: x - width / 2
+    };
+  }
+
+  private _getShift(): ScreenShift {
+    const { displacement, offset } = this;
+    const x = (displacement ? displacement.x : 0) + (offset ? offset.x : 0);
+    const y = (displacement ? displacement.y : 0) + (offset ? offset.y : 0);
+
+    return x || y ? { x, y } : null;
+  }
+
+  private _renderLeaderLine(): any {
+    const shift = this._getShift();
+    const screenLocation = this.get<ScreenPoint>("viewModel.screenLocation");
+
+    if (!shift || !screenLocation || this.dockEnabled) {
+      return null;
+    }
+
+    const length = Math.sqrt(shift.x * shift.x + shift.y * shift.y);
+    const angle = Math.atan2(shift.y, shift.x) * 180 / Math.PI;
+
+    return (
+      <div key={buildKey("leader-line")}
+        class={CSS.leaderLine}
+        role="presentation"
+        styles={{
+          left: `${screenLocation.x}px`,
+          top: `${screenLocation.y}px`,
+          width: `${length}px`,
+          transform: `rotate(${angle}deg)`
+        }} />
+    );
+  }
+
   private _calculatePositionStyle(screenLocation: ScreenPoint, domGeometryBox: dojo.DomGeometryBox): any {
     const { dockEnabled, view } = this;
 
@@ -2201,13 +2807,36 @@ class FloatPop extends declared(Widget) {
       return;
     }
 
-    const width = this._calculateFullWidth(domGeometryBox.w);
-    const position = this._calculateAlignmentPosition(screenLocation.x, screenLocation.y, view, width);
+    // a card opened by hovering the bubble is anchored where the bubble is, so that it covers
+    // the bubble and the pointer stays inside it instead of leaving and re-entering endlessly
+    const position = this._isCircleCollapsed() ?
+      this._calculateCirclePosition(screenLocation.x, screenLocation.y, view, domGeometryBox.w) :
+      this._isCircleHoverExpanded() ?
+        this._calculateCirclePosition(screenLocation.x, screenLocation.y, view, this._calculateFullWidth(domGeometryBox.w)) :
+        this._calculateAlignmentPosition(screenLocation.x, screenLocation.y, view, this._calculateFullWidth(domGeometryBox.w));
 
     if (!position) {
       return;
     }
 
+    const shift = this._getShift();
+
+    if (shift) {
+      if (position.left !== undefined) {
+        position.left += shift.x;
+      }
+      else {
+        position.right -= shift.x;
+      }
+
+      if (position.top !== undefined) {
+        position.top += shift.y;
+      }
+      else {
+        position.bottom -= shift.y;
+      }
+    }
+
     return {
       top: position.top !== undefined ?
         `${position.top}px` :
@@ -2313,6 +2942,101 @@ class FloatPop extends declared(Widget) {
     _containerNode.classList.add(CSS.hasFeatureUpdated);
   }
 
+  private _storeHeaderButtonsNode(element: HTMLDivElement): void {
+    this._headerButtonsNode = element;
+  }
+
+  private _startDrag(event: PointerEvent): void {
+    const target = event.target as Node;
+
+    if (!this.dragEnabled || this.dockEnabled || event.button !== 0 ||
+      (this._headerButtonsNode && this._headerButtonsNode.contains(target))) {
+      return;
+    }
+
+    // take over the layout displacement so the popup doesn't jump when the drag starts
+    const offset = this._getShift() || { x: 0, y: 0 };
+
+    if (this.displacement) {
+      this.offset = offset;
+      this.displacement = null;
+    }
+
+    this._dragState = {
+      x: event.clientX,
+      y: event.clientY,
+      offset,
+      moved: false
+    };
+
+    this._handleRegistry.add([
+      on(document, "pointermove", (moveEvent: PointerEvent) => this._drag(moveEvent)),
+      on(document, "pointerup", () => this._stopDrag()),
+      on(document, "pointercancel", () => this._stopDrag())
+    ], "drag");
+
+    event.preventDefault();
+    this.scheduleRender();
+  }
+
+  private _drag(event: PointerEvent): void {
+    const state = this._dragState;
+
+    if (!state) {
+      return;
+    }
+
+    const dx = event.clientX - state.x;
+    const dy = event.clientY - state.y;
+
+    if (!state.moved && Math.abs(dx) + Math.abs(dy) < 3) {
+      return;
+    }
+
+    state.moved = true;
+
+    this.offset = {
+      x: state.offset.x + dx,
+      y: state.offset.y + dy
+    };
+  }
+
+  private _stopDrag(): void {
+    const state = this._dragState;
+
+    if (!state) {
+      return;
+    }
+
+    this._dragState = null;
+    this._handleRegistry.remove("drag");
+
+    if (state.moved) {
+      this._suppressClick = true;
+      setTimeout(() => this._suppressClick = false, 0);
+    }
+
+    this.scheduleRender();
+  }
+
+  private _loadMessages(locale: string): void {
+    if (!locale) {
+      this._messages = i18n;
+      this.scheduleRender();
+      return;
+    }
+
+    require([`dojo/i18n!ec-widgets/FloatPop/nls/${locale.toLowerCase()}/FloatPop`], (messages: typeof i18n) => {
+      // ignore the strings of a locale that was replaced while loading
+      if (this.destroyed || this.locale !== locale) {
+        return;
+      }
+
+      this._messages = messages;
+      this.scheduleRender();
+    });
+  }
+
   private _storeMainContainerNode(element: HTMLDivElement): void {
     this._mainContainerNode = element;
   }
@@ -2360,7 +3084,7 @@ class FloatPop extends declared(Widget) {
     return esriLang.substitute({
       index: selectedFeatureIndex + 1,
       total: featureCount
-    }, i18n.pageText);
+    }, this._messages.pageText);
   }
 
   private _destroySpinner(): void {
@@ -2389,9 +3113,25 @@ class FloatPop extends declared(Widget) {
 
   @accessibleHandler()
   private _toggleCollapsed(): void {
+    // the click that ends dragging the title doesn't collapse the popup
+    if (this._suppressClick) {
+      return;
+    }
+
     this.collapsed = !this.collapsed;
   }
 
+  @accessibleHandler()
+  private _toggleExpanded(): void {
+    this.expanded = !this.expanded;
+  }
+
+  @accessibleHandler()
+  private _collapseToCircle(): void {
+    this._circleHovered = false;
+    this.expanded = false;
+  }
+
   @accessibleHandler()
   private _close(): void {
     this.close();
@@ -2412,7 +3152,11 @@ class FloatPop extends declared(Widget) {
     event.preventDefault();
     event.stopPropagation();
 
-    this.viewModel.triggerAction(0);
+    if (!this.pinButtonEnabled) {
+      return;
+    }
+
+    this.triggerPin();
   }
 
   @accessibleHandler()
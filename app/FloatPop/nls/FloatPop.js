@@ -1,6 +1,23 @@
 define({
   root: {
-
+    close: "Close",
+    collapse: "Collapse",
+    collapseToCircle: "Collapse to circle",
+    dock: "Dock",
+    expand: "Expand",
+    loading: "Loading",
+    menu: "Menu",
+    next: "Next",
+    number: "Popup number {number}",
+    pageText: "{index} of {total}",
+    pin: "Pin",
+    previous: "Previous",
+    selectedFeature: "Selected feature",
+    selectedFeatures: "Select feature ({total} total)",
+    undock: "Undock",
+    unpin: "Unpin",
+    untitled: "Untitled",
+    zoom: "Zoom to"
   },
   "zh-cn": 1,
-});
\ No newline at end of file
+});
@@ -1,3 +1,20 @@
 define({
-  zoom: '',
-});
\ No newline at end of file
+  close: "关闭",
+  collapse: "折叠",
+  collapseToCircle: "收起为圆形",
+  dock: "停靠",
+  expand: "展开",
+  loading: "正在加载",
+  menu: "菜单",
+  next: "下一个",
+  number: "弹窗编号 {number}",
+  pageText: "第 {index} 个，共 {total} 个",
+  pin: "固定",
+  previous: "上一个",
+  selectedFeature: "所选要素",
+  selectedFeatures: "选择要素（共 {total} 个）",
+  undock: "取消停靠",
+  unpin: "取消固定",
+  untitled: "未命名",
+  zoom: "缩放至",
+});
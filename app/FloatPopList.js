@@ -0,0 +1,274 @@
+/**
+ * Lists the pops opened by a {@link module:ec-widgets/FloatPopManager FloatPopManager} with their
+ * number, title and layer. Clicking an item activates the pop and goes to its location, the
+ * item buttons reorder, pin or close the pop. The manager's active pop is highlighted.
+ *
+ * @module ec-widgets/FloatPopList
+ *
+ * @example
+ * var list = new FloatPopList({
+ *   manager: manager,
+ *   container: "siderDiv"
+ * });
+ */
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = Object.setPrototypeOf ||
+        ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+        function (d, b) { for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p]; };
+    return function (d, b) {
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+var __decorate = (this && this.__decorate) || function (decorators, target, key, desc) {
+    var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
+    if (typeof Reflect === "object" && typeof Reflect.decorate === "function") r = Reflect.decorate(decorators, target, key, desc);
+    else for (var i = decorators.length - 1; i >= 0; i--) if (d = decorators[i]) r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
+    return c > 3 && r && Object.defineProperty(target, key, r), r;
+};
+define(["require", "exports", "esri/core/tsSupport/declareExtendsHelper", "esri/core/tsSupport/decorateHelper", "esri/widgets/support/widget", "esri/core/accessorSupport/decorators", "esri/core/HandleRegistry", "esri/core/watchUtils", "esri/widgets/Widget", "dojo/i18n!ec-widgets/FloatPopList/nls/FloatPopList"], function (require, exports, __extends, __decorate, widget_1, decorators_1, HandleRegistry, watchUtils, Widget, i18n) {
+    "use strict";
+    var CSS = {
+        // common
+        iconUp: "esri-icon-up",
+        iconDown: "esri-icon-down",
+        iconPin: "esri-icon-map-pin",
+        iconClose: "esri-icon-close",
+        // base
+        base: "ec-widgets-floatpop-list",
+        widget: "esri-widget",
+        // list
+        list: "ec-widgets-floatpop-list__list",
+        empty: "ec-widgets-floatpop-list__empty",
+        item: "ec-widgets-floatpop-list__item",
+        itemActive: "ec-widgets-floatpop-list__item--active",
+        itemMain: "ec-widgets-floatpop-list__item-main",
+        itemNumber: "ec-widgets-floatpop-list__item-number",
+        itemText: "ec-widgets-floatpop-list__item-text",
+        itemTitle: "ec-widgets-floatpop-list__item-title",
+        itemLayer: "ec-widgets-floatpop-list__item-layer",
+        itemActions: "ec-widgets-floatpop-list__item-actions",
+        // buttons
+        button: "ec-widgets-floatpop-list__button",
+        buttonDisabled: "ec-widgets-floatpop-list__button--disabled",
+        buttonActive: "ec-widgets-floatpop-list__button--active"
+    };
+    var WIDGET_KEY_PARTIAL = "ec-widgets-floatpop-list";
+    function buildKey(element, index) {
+        if (index === undefined) {
+            return WIDGET_KEY_PARTIAL + "__" + element;
+        }
+        return WIDGET_KEY_PARTIAL + "__" + element + "-" + index;
+    }
+    var FloatPopList = /** @class */ (function (_super) {
+        __extends(FloatPopList, _super);
+        //--------------------------------------------------------------------------
+        //
+        //  Lifecycle
+        //
+        //--------------------------------------------------------------------------
+        /**
+         * @extends module:esri/widgets/Widget
+         * @constructor
+         * @alias module:ec-widgets/FloatPopList
+         * @param {Object} [properties] - See the [properties](#properties-summary) for a list of all the properties
+         *                              that may be passed into the constructor.
+         */
+        function FloatPopList(params) {
+            var _this = _super.call(this) || this;
+            //--------------------------------------------------------------------------
+            //
+            //  Variables
+            //
+            //--------------------------------------------------------------------------
+            _this._handleRegistry = new HandleRegistry();
+            _this._messages = i18n;
+            //--------------------------------------------------------------------------
+            //
+            //  Properties
+            //
+            //--------------------------------------------------------------------------
+            //----------------------------------
+            //  manager
+            //----------------------------------
+            /**
+             * The manager whose pops are listed.
+             *
+             * @name manager
+             * @instance
+             *
+             * @type {module:ec-widgets/FloatPopManager}
+             */
+            _this.manager = null;
+            return _this;
+        }
+        FloatPopList.prototype.postInitialize = function () {
+            var _this = this;
+            this.own([
+                watchUtils.init(this, "manager.floatpops", function (floatpops, oldFloatpops) {
+                    oldFloatpops && oldFloatpops.forEach(function (pop) { return _this._unwatchPop(pop); });
+                    floatpops && floatpops.forEach(function (pop) { return _this._watchPop(pop); });
+                }),
+                watchUtils.on(this, "manager.floatpops", "change", function (event) {
+                    event.removed.forEach(function (pop) { return _this._unwatchPop(pop); });
+                    event.added.forEach(function (pop) { return _this._watchPop(pop); });
+                    _this.scheduleRender();
+                }),
+                watchUtils.init(this, "manager.locale", function (locale) { return _this._loadMessages(locale); })
+            ]);
+        };
+        FloatPopList.prototype.destroy = function () {
+            this._handleRegistry.destroy();
+            this._handleRegistry = null;
+        };
+        //--------------------------------------------------------------------------
+        //
+        //  Public Methods
+        //
+        //--------------------------------------------------------------------------
+        FloatPopList.prototype.render = function () {
+            var _this = this;
+            var pops = this._getPops();
+            var listNode = pops.length ? (widget_1.tsx("ul", { key: buildKey("list"), class: CSS.list, role: "list" }, pops.map(function (pop, index) { return _this._renderItem(pop, index, pops.length); }))) : (widget_1.tsx("div", { key: buildKey("empty"), class: CSS.empty }, this._messages.noPops));
+            return (widget_1.tsx("div", { class: widget_1.join(CSS.base, CSS.widget) }, listNode));
+        };
+        //--------------------------------------------------------------------------
+        //
+        //  Private Methods
+        //
+        //--------------------------------------------------------------------------
+        FloatPopList.prototype._getPops = function () {
+            var floatpops = this.get("manager.floatpops");
+            return floatpops ? floatpops.toArray() : [];
+        };
+        FloatPopList.prototype._loadMessages = function (locale) {
+            var _this = this;
+            if (!locale) {
+                this._messages = i18n;
+                this.scheduleRender();
+                return;
+            }
+            require(["dojo/i18n!ec-widgets/FloatPopList/nls/" + locale.toLowerCase() + "/FloatPopList"], function (messages) {
+                // ignore the strings of a locale that was replaced while loading
+                if (_this.destroyed || _this.get("manager.locale") !== locale) {
+                    return;
+                }
+                _this._messages = messages;
+                _this.scheduleRender();
+            });
+        };
+        FloatPopList.prototype._findPop = function (node) {
+            var pop = node["data-pop"];
+            return this._getPops().indexOf(pop) !== -1 ? pop : null;
+        };
+        FloatPopList.prototype._watchPop = function (pop) {
+            var _this = this;
+            this._handleRegistry.add(watchUtils.watch(pop, [
+                "title",
+                "number",
+                "pinned",
+                "pinButtonEnabled",
+                "closeButtonEnabled",
+                "selectedFeature"
+            ], function () { return _this.scheduleRender(); }), pop.id);
+        };
+        FloatPopList.prototype._unwatchPop = function (pop) {
+            this._handleRegistry.remove(pop.id);
+        };
+        FloatPopList.prototype._renderItem = function (pop, index, total) {
+            var number = pop.number;
+            var activePop = this.get("manager.activePop");
+            var title = pop.title ? pop.title.replace(/<[^>]*>/g, "") : this._messages.untitled;
+            var layerTitle = pop.get("selectedFeature.layer.title");
+            var isFirst = index === 0;
+            var isLast = index === total - 1;
+            var numberNode = number != null ? (widget_1.tsx("span", { key: buildKey("item-number", pop.id), class: CSS.itemNumber }, "" + number)) : null;
+            var layerNode = layerTitle ? (widget_1.tsx("span", { key: buildKey("item-layer", pop.id), class: CSS.itemLayer }, layerTitle)) : null;
+            var pinNode = pop.pinButtonEnabled ? (widget_1.tsx("div", { key: buildKey("item-pin", pop.id), role: "button", tabIndex: 0, class: CSS.button, classes: (_a = {}, _a[CSS.buttonActive] = pop.pinned, _a), title: this._messages.pin, "aria-label": this._messages.pin, "aria-pressed": "" + pop.pinned, bind: this, "data-pop": pop, onclick: this._pin, onkeydown: this._pin },
+                widget_1.tsx("span", { "aria-hidden": "true", class: CSS.iconPin }))) : null;
+            var closeNode = pop.closeButtonEnabled ? (widget_1.tsx("div", { key: buildKey("item-close", pop.id), role: "button", tabIndex: 0, class: CSS.button, title: this._messages.close, "aria-label": this._messages.close, bind: this, "data-pop": pop, onclick: this._close, onkeydown: this._close },
+                widget_1.tsx("span", { "aria-hidden": "true", class: CSS.iconClose }))) : null;
+            return (widget_1.tsx("li", { key: buildKey("item", pop.id), class: CSS.item, classes: (_b = {}, _b[CSS.itemActive] = pop === activePop, _b) },
+                widget_1.tsx("div", { role: "button", tabIndex: 0, class: CSS.itemMain, title: this._messages.goTo, "aria-label": this._messages.goTo + ": " + title, bind: this, "data-pop": pop, onclick: this._goToPop, onkeydown: this._goToPop },
+                    numberNode,
+                    widget_1.tsx("span", { class: CSS.itemText },
+                        widget_1.tsx("span", { class: CSS.itemTitle }, title),
+                        layerNode)),
+                widget_1.tsx("div", { class: CSS.itemActions },
+                    widget_1.tsx("div", { role: "button", tabIndex: isFirst ? -1 : 0, class: CSS.button, classes: (_c = {}, _c[CSS.buttonDisabled] = isFirst, _c), title: this._messages.moveUp, "aria-label": this._messages.moveUp, "aria-disabled": "" + isFirst, bind: this, "data-pop": pop, onclick: this._moveUp, onkeydown: this._moveUp },
+                        widget_1.tsx("span", { "aria-hidden": "true", class: CSS.iconUp })),
+                    widget_1.tsx("div", { role: "button", tabIndex: isLast ? -1 : 0, class: CSS.button, classes: (_d = {}, _d[CSS.buttonDisabled] = isLast, _d), title: this._messages.moveDown, "aria-label": this._messages.moveDown, "aria-disabled": "" + isLast, bind: this, "data-pop": pop, onclick: this._moveDown, onkeydown: this._moveDown },
+                        widget_1.tsx("span", { "aria-hidden": "true", class: CSS.iconDown })),
+                    pinNode,
+                    closeNode)));
+            var _a, _b, _c, _d;
+        };
+        FloatPopList.prototype._move = function (event, offset) {
+            var pop = this._findPop(event.currentTarget);
+            var floatpops = this.get("manager.floatpops");
+            if (!pop || !floatpops) {
+                return;
+            }
+            var index = floatpops.indexOf(pop) + offset;
+            if (index < 0 || index >= floatpops.length) {
+                return;
+            }
+            floatpops.reorder(pop, index);
+        };
+        FloatPopList.prototype._goToPop = function (event) {
+            var pop = this._findPop(event.currentTarget);
+            var view = this.get("manager.view");
+            if (!pop) {
+                return;
+            }
+            pop.collapsed = false;
+            this.manager.activePop = pop;
+            if (view && pop.location) {
+                view.goTo({ target: pop.location });
+            }
+        };
+        FloatPopList.prototype._moveUp = function (event) {
+            this._move(event, -1);
+        };
+        FloatPopList.prototype._moveDown = function (event) {
+            this._move(event, 1);
+        };
+        FloatPopList.prototype._pin = function (event) {
+            var pop = this._findPop(event.currentTarget);
+            pop && pop.pinButtonEnabled && pop.triggerPin();
+        };
+        FloatPopList.prototype._close = function (event) {
+            var pop = this._findPop(event.currentTarget);
+            pop && pop.closeButtonEnabled && pop.close();
+        };
+        __decorate([
+            decorators_1.property(),
+            widget_1.renderable([
+                "manager.floatpops",
+                "manager.activePop"
+            ])
+        ], FloatPopList.prototype, "manager", void 0);
+        __decorate([
+            widget_1.accessibleHandler()
+        ], FloatPopList.prototype, "_goToPop", null);
+        __decorate([
+            widget_1.accessibleHandler()
+        ], FloatPopList.prototype, "_moveUp", null);
+        __decorate([
+            widget_1.accessibleHandler()
+        ], FloatPopList.prototype, "_moveDown", null);
+        __decorate([
+            widget_1.accessibleHandler()
+        ], FloatPopList.prototype, "_pin", null);
+        __decorate([
+            widget_1.accessibleHandler()
+        ], FloatPopList.prototype, "_close", null);
+        FloatPopList = __decorate([
+            decorators_1.subclass("esri.widgets.custom.FloatPopList")
+        ], FloatPopList);
+        return FloatPopList;
+    }(decorators_1.declared(Widget)));
+    return FloatPopList;
+});
+//# sourceMappingURL=FloatPopList.js.map
\ No newline at end of file
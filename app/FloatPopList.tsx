@@ -0,0 +1,384 @@
+/**
+ * Lists the pops opened by a {@link module:ec-widgets/FloatPopManager FloatPopManager} with their
+ * number, title and layer. Clicking an item activates the pop and goes to its location, the
+ * item buttons reorder, pin or close the pop. The manager's active pop is highlighted.
+ *
+ * @module ec-widgets/FloatPopList
+ *
+ * @example
+ * var list = new FloatPopList({
+ *   manager: manager,
+ *   container: "siderDiv"
+ * });
+ */
+
+/// <amd-dependency path="esri/core/tsSupport/declareExtendsHelper" name="__extends" />
+/// <amd-dependency path="esri/core/tsSupport/decorateHelper" name="__decorate" />
+
+import {
+  accessibleHandler,
+  join,
+  tsx,
+  renderable
+} from "esri/widgets/support/widget";
+
+import {
+  declared,
+  property,
+  subclass
+} from "esri/core/accessorSupport/decorators";
+
+import Collection = require("esri/core/Collection");
+import HandleRegistry = require("esri/core/HandleRegistry");
+import watchUtils = require("esri/core/watchUtils");
+
+import Widget = require("esri/widgets/Widget");
+
+import i18n = require("dojo/i18n!ec-widgets/FloatPopList/nls/FloatPopList");
+
+import FloatPop = require("ec-widgets/FloatPop");
+import FloatPopManager = require("ec-widgets/FloatPopManager");
+
+const CSS = {
+  // common
+  iconUp: "esri-icon-up",
+  iconDown: "esri-icon-down",
+  iconPin: "esri-icon-map-pin",
+  iconClose: "esri-icon-close",
+  // base
+  base: "ec-widgets-floatpop-list",
+  widget: "esri-widget",
+  // list
+  list: "ec-widgets-floatpop-list__list",
+  empty: "ec-widgets-floatpop-list__empty",
+  item: "ec-widgets-floatpop-list__item",
+  itemActive: "ec-widgets-floatpop-list__item--active",
+  itemMain: "ec-widgets-floatpop-list__item-main",
+  itemNumber: "ec-widgets-floatpop-list__item-number",
+  itemText: "ec-widgets-floatpop-list__item-text",
+  itemTitle: "ec-widgets-floatpop-list__item-title",
+  itemLayer: "ec-widgets-floatpop-list__item-layer",
+  itemActions: "ec-widgets-floatpop-list__item-actions",
+  // buttons
+  button: "ec-widgets-floatpop-list__button",
+  buttonDisabled: "ec-widgets-floatpop-list__button--disabled",
+  buttonActive: "ec-widgets-floatpop-list__button--active"
+};
+
+const WIDGET_KEY_PARTIAL = "ec-widgets-floatpop-list";
+
+function buildKey(element: string, index?: number | string): string {
+  if (index === undefined) {
+    return `${WIDGET_KEY_PARTIAL}__${element}`;
+  }
+
+  return `${WIDGET_KEY_PARTIAL}__${element}-${index}`;
+}
+
+@subclass("esri.widgets.custom.FloatPopList")
+class FloatPopList extends declared(Widget) {
+
+  //--------------------------------------------------------------------------
+  //
+  //  Lifecycle
+  //
+  //--------------------------------------------------------------------------
+
+  /**
+   * @extends module:esri/widgets/Widget
+   * @constructor
+   * @alias module:ec-widgets/FloatPopList
+   * @param {Object} [properties] - See the [properties](#properties-summary) for a list of all the properties
+   *                              that may be passed into the constructor.
+   */
+  constructor(params?: any) {
+    super();
+  }
+
+  postInitialize() {
+    this.own([
+      watchUtils.init(this, "manager.floatpops", (floatpops: Collection<FloatPop>, oldFloatpops: Collection<FloatPop>) => {
+        oldFloatpops && oldFloatpops.forEach((pop) => this._unwatchPop(pop));
+        floatpops && floatpops.forEach((pop) => this._watchPop(pop));
+      }),
+      watchUtils.on(this, "manager.floatpops", "change", (event: any) => {
+        event.removed.forEach((pop: FloatPop) => this._unwatchPop(pop));
+        event.added.forEach((pop: FloatPop) => this._watchPop(pop));
+        this.scheduleRender();
+      }),
+      watchUtils.init(this, "manager.locale", (locale: string) => this._loadMessages(locale))
+    ]);
+  }
+
+  destroy() {
+    this._handleRegistry.destroy();
+    this._handleRegistry = null;
+  }
+
+  //--------------------------------------------------------------------------
+  //
+  //  Variables
+  //
+  //--------------------------------------------------------------------------
+
+  private _handleRegistry: HandleRegistry = new HandleRegistry();
+
+  private _messages = i18n;
+
+  //--------------------------------------------------------------------------
+  //
+  //  Properties
+  //
+  //--------------------------------------------------------------------------
+
+  //----------------------------------
+  //  manager
+  //----------------------------------
+
+  /**
+   * The manager whose pops are listed.
+   *
+   * @name manager
+   * @instance
+   *
+   * @type {module:ec-widgets/FloatPopManager}
+   */
+  @property()
+  @renderable([
+    "manager.floatpops",
+    "manager.activePop"
+  ])
+  manager: FloatPopManager = null;
+
+  //--------------------------------------------------------------------------
+  //
+  //  Public Methods
+  //
+  //--------------------------------------------------------------------------
+
+  render() {
+    const pops = this._getPops();
+
+    const listNode = pops.length ? (
+      <ul key={buildKey("list")} class={CSS.list} role="list">
+        {pops.map((pop, index) => this._renderItem(pop, index, pops.length))}
+      </ul>
+    ) : (
+      <div key={buildKey("empty")} class={CSS.empty}>{this._messages.noPops}</div>
+    );
+
+    return (
+      <div class={join(CSS.base, CSS.widget)}>{listNode}</div>
+    );
+  }
+
+  //--------------------------------------------------------------------------
+  //
+  //  Private Methods
+  //
+  //--------------------------------------------------------------------------
+
+  private _getPops(): FloatPop[] {
+    const floatpops = this.get<any>("manager.floatpops");
+    return floatpops ? floatpops.toArray() : [];
+  }
+
+  private _loadMessages(locale: string): void {
+    if (!locale) {
+      this._messages = i18n;
+      this.scheduleRender();
+      return;
+    }
+
+    require([`dojo/i18n!ec-widgets/FloatPopList/nls/${locale.toLowerCase()}/FloatPopList`], (messages: typeof i18n) => {
+      // ignore the strings of a locale that was replaced while loading
+      if (this.destroyed || this.get<string>("manager.locale") !== locale) {
+        return;
+      }
+
+      this._messages = messages;
+      this.scheduleRender();
+    });
+  }
+
+  private _findPop(node: Element): FloatPop {
+    const pop = node["data-pop"] as FloatPop;
+    return this._getPops().indexOf(pop) !== -1 ? pop : null;
+  }
+
+  private _watchPop(pop: FloatPop): void {
+    this._handleRegistry.add(watchUtils.watch(pop, [
+      "title",
+      "number",
+      "pinned",
+      "pinButtonEnabled",
+      "closeButtonEnabled",
+      "selectedFeature"
+    ], () => this.scheduleRender()), pop.id);
+  }
+
+  private _unwatchPop(pop: FloatPop): void {
+    this._handleRegistry.remove(pop.id);
+  }
+
+  private _renderItem(pop: FloatPop, index: number, total: number): any {
+    const { number } = pop;
+    const activePop = this.get<FloatPop>("manager.activePop");
+    const title = pop.title ? pop.title.replace(/<[^>]*>/g, "") : this._messages.untitled;
+    const layerTitle = pop.get<string>("selectedFeature.layer.title");
+    const isFirst = index === 0;
+    const isLast = index === total - 1;
+
+    const numberNode = number != null ? (
+      <span key={buildKey("item-number", pop.id)}
+        class={CSS.itemNumber}>{`${number}`}</span>
+    ) : null;
+
+    const layerNode = layerTitle ? (
+      <span key={buildKey("item-layer", pop.id)}
+        class={CSS.itemLayer}>{layerTitle}</span>
+    ) : null;
+
+    const pinNode = pop.pinButtonEnabled ? (
+      <div key={buildKey("item-pin", pop.id)}
+        role="button"
+        tabIndex={0}
+        class={CSS.button}
+        classes={{ [CSS.buttonActive]: pop.pinned }}
+        title={this._messages.pin}
+        aria-label={this._messages.pin}
+        aria-pressed={`${pop.pinned}`}
+        bind={this}
+        data-pop={pop}
+        onclick={this._pin}
+        onkeydown={this._pin}>
+        <span aria-hidden="true" class={CSS.iconPin} />
+      </div>
+    ) : null;
+
+    const closeNode = pop.closeButtonEnabled ? (
+      <div key={buildKey("item-close", pop.id)}
+        role="button"
+        tabIndex={0}
+        class={CSS.button}
+        title={this._messages.close}
+        aria-label={this._messages.close}
+        bind={this}
+        data-pop={pop}
+        onclick={this._close}
+        onkeydown={this._close}>
+        <span aria-hidden="true" class={CSS.iconClose} />
+      </div>
+    ) : null;
+
+    return (
+      <li key={buildKey("item", pop.id)} class={CSS.item}
+        classes={{ [CSS.itemActive]: pop === activePop }}>
+        <div role="button"
+          tabIndex={0}
+          class={CSS.itemMain}
+          title={this._messages.goTo}
+          aria-label={`${this._messages.goTo}: ${title}`}
+          bind={this}
+          data-pop={pop}
+          onclick={this._goToPop}
+          onkeydown={this._goToPop}>
+          {numberNode}
+          <span class={CSS.itemText}>
+            <span class={CSS.itemTitle}>{title}</span>
+            {layerNode}
+          </span>
+        </div>
+        <div class={CSS.itemActions}>
+          <div role="button"
+            tabIndex={isFirst ? -1 : 0}
+            class={CSS.button}
+            classes={{ [CSS.buttonDisabled]: isFirst }}
+            title={this._messages.moveUp}
+            aria-label={this._messages.moveUp}
+            aria-disabled={`${isFirst}`}
+            bind={this}
+            data-pop={pop}
+            onclick={this._moveUp}
+            onkeydown={this._moveUp}>
+            <span aria-hidden="true" class={CSS.iconUp} />
+          </div>
+          <div role="button"
+            tabIndex={isLast ? -1 : 0}
+            class={CSS.button}
+            classes={{ [CSS.buttonDisabled]: isLast }}
+            title={this._messages.moveDown}
+            aria-label={this._messages.moveDown}
+            aria-disabled={`${isLast}`}
+            bind={this}
+            data-pop={pop}
+            onclick={this._moveDown}
+            onkeydown={this._moveDown}>
+            <span aria-hidden="true" class={CSS.iconDown} />
+          </div>
+          {pinNode}
+          {closeNode}
+        </div>
+      </li>
+    );
+  }
+
+  private _move(event: Event, offset: number): void {
+    const pop = this._findPop(event.currentTarget as Element);
+    const floatpops = this.get<any>("manager.floatpops");
+
+    if (!pop || !floatpops) {
+      return;
+    }
+
+    const index = floatpops.indexOf(pop) + offset;
+
+    if (index < 0 || index >= floatpops.length) {
+      return;
+    }
+
+    floatpops.reorder(pop, index);
+  }
+
+  @accessibleHandler()
+  private _goToPop(event: Event): void {
+    const pop = this._findPop(event.currentTarget as Element);
+    const view = this.get<any>("manager.view");
+
+    if (!pop) {
+      return;
+    }
+
+    pop.collapsed = false;
+    this.manager.activePop = pop;
+
+    if (view && pop.location) {
+      view.goTo({ target: pop.location });
+    }
+  }
+
+  @accessibleHandler()
+  private _moveUp(event: Event): void {
+    this._move(event, -1);
+  }
+
+  @accessibleHandler()
+  private _moveDown(event: Event): void {
+    this._move(event, 1);
+  }
+
+  @accessibleHandler()
+  private _pin(event: Event): void {
+    const pop = this._findPop(event.currentTarget as Element);
+    pop && pop.pinButtonEnabled && pop.triggerPin();
+  }
+
+  @accessibleHandler()
+  private _close(event: Event): void {
+    const pop = this._findPop(event.currentTarget as Element);
+    pop && pop.closeButtonEnabled && pop.close();
+  }
+
+}
+
+export = FloatPopList;
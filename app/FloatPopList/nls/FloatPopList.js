@@ -0,0 +1,12 @@
+define({
+  root: {
+    noPops: "No open popups",
+    untitled: "Untitled",
+    goTo: "Go to",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    pin: "Pin",
+    close: "Close"
+  },
+  "zh-cn": 1,
+});
@@ -0,0 +1,9 @@
+define({
+  noPops: "没有打开的弹窗",
+  untitled: "未命名",
+  goTo: "定位到",
+  moveUp: "上移",
+  moveDown: "下移",
+  pin: "固定",
+  close: "关闭",
+});
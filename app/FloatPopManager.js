@@ -8,35 +8,497 @@ var __extends = (this && this.__extends) || (function () {
         d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
     };
 })();
+var __assign = (this && this.__assign) || Object.assign || function(t) {
+    for (var s, i = 1, n = arguments.length; i < n; i++) {
+        s = arguments[i];
+        for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+            t[p] = s[p];
+    }
+    return t;
+};
 var __decorate = (this && this.__decorate) || function (decorators, target, key, desc) {
     var c = arguments.length, r = c < 3 ? target : desc === null ? desc = Object.getOwnPropertyDescriptor(target, key) : desc, d;
     if (typeof Reflect === "object" && typeof Reflect.decorate === "function") r = Reflect.decorate(decorators, target, key, desc);
     else for (var i = decorators.length - 1; i >= 0; i--) if (d = decorators[i]) r = (c < 3 ? d(r) : c > 3 ? d(target, key, r) : d(target, key)) || r;
     return c > 3 && r && Object.defineProperty(target, key, r), r;
 };
-define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core/promiseUtils", "dojo/_base/array", "dojo/on", "dojo/dom-construct", "dojo/Deferred", "esri/geometry/support/scaleUtils", "esri/geometry/Extent", "esri/tasks/support/Query", "esri/layers/GroupLayer", "esri/core/Accessor", "esri/core/Collection", "ec-widgets/FloatPop"], function (require, exports, decorators_1, promiseUtils, arrayUtil, on, domConstruct, Deferred, scaleUtils, Extent, Query, GroupLayer, Accessor, Collection, FloatPop) {
+define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core/lang", "esri/core/promiseUtils", "esri/core/HandleRegistry", "esri/core/watchUtils", "dojo/_base/array", "dojo/on", "dojo/dom-construct", "dojo/Deferred", "esri/geometry/support/scaleUtils", "esri/geometry/Extent", "esri/geometry/Point", "esri/geometry/ScreenPoint", "esri/geometry/geometryEngine", "esri/tasks/support/Query", "esri/Graphic", "esri/symbols/SimpleMarkerSymbol", "esri/symbols/TextSymbol", "esri/symbols/PointSymbol3D", "esri/symbols/IconSymbol3DLayer", "esri/symbols/TextSymbol3DLayer", "esri/core/Accessor", "esri/core/Evented", "esri/core/Collection", "dojo/i18n!ec-widgets/FloatPopManager/nls/FloatPopManager", "ec-widgets/FloatPop", "ec-widgets/support/floatPopUtils"], function (require, exports, decorators_1, esriLang, promiseUtils, HandleRegistry, watchUtils, arrayUtil, on, domConstruct, Deferred, scaleUtils, Extent, Point, ScreenPoint, geometryEngine, Query, Graphic, SimpleMarkerSymbol, TextSymbol, PointSymbol3D, IconSymbol3DLayer, TextSymbol3DLayer, Accessor, Evented, Collection, i18n, FloatPop, floatPopUtils) {
     "use strict";
+    var SESSION_VERSION = 1;
+    var HASH_KEY = "floatpops";
+    var DEFAULT_OPTIONS = {
+        shape: "normal",
+        showButton: true,
+        buttons: {
+            close: true,
+            dock: true,
+            pin: true,
+            pagination: true,
+            featureMenu: true
+        },
+        circleLabelField: null
+    };
+    var DEFAULT_TRIGGER = {
+        open: "click",
+        replace: "none"
+    };
+    var DEFAULT_SHORTCUTS = {
+        nextPop: "Alt+PageDown",
+        previousPop: "Alt+PageUp",
+        closePop: "Alt+Delete",
+        pinPop: "Alt+P",
+        nextFeature: "Alt+.",
+        previousFeature: "Alt+,"
+    };
+    var KEY_CODES = {
+        ".": "Period",
+        ",": "Comma"
+    };
+    var LIVE_REGION_STYLE = {
+        position: "absolute",
+        width: "1px",
+        height: "1px",
+        overflow: "hidden",
+        clip: "rect(0 0 0 0)",
+        whiteSpace: "nowrap"
+    };
+    var LAYOUT_GAP = 8;
+    var LAYOUT_MAX_ITERATIONS = 20;
+    var NUMBER_MARKER_COLOR = "#3a92e7";
+    var NUMBER_MARKER_SIZE = 20;
+    var PT_TO_PX = 4 / 3;
+    /**
+     * Identifies a feature by its layer id and object id, `null` for features that can't be
+     * queried again, e.g. graphics in the view.
+     */
+    function getFeatureIdentity(feature) {
+        var layer = feature && feature.layer;
+        var objectIdField = layer && layer.objectIdField;
+        var objectId = objectIdField && feature.attributes ? feature.attributes[objectIdField] : null;
+        return objectId != null ? { layerId: layer.id, objectId: objectId } : null;
+    }
+    function getFeatureKey(identity) {
+        return identity.layerId + "/" + identity.objectId;
+    }
+    function getSymbolTolerance(symbol) {
+        if (!symbol) {
+            return 0;
+        }
+        var size = symbol.symbolLayers ? Math.max.apply(Math, [0].concat(symbol.symbolLayers.toArray()
+            .filter(function (symbolLayer) { return symbolLayer.type === "icon"; })
+            .map(function (symbolLayer) { return symbolLayer.size || 0; }))) :
+            Math.max(symbol.size || 0, symbol.width || 0, symbol.height || 0);
+        var offset = Math.max(Math.abs(symbol.xoffset || 0), Math.abs(symbol.yoffset || 0));
+        return (size / 2 + offset) * PT_TO_PX;
+    }
+    function getMaxSize(visualVariable) {
+        var sizes = [visualVariable.minSize, visualVariable.maxSize]
+            .concat((visualVariable.stops || []).map(function (stop) { return stop.size; }));
+        // a size can itself vary by scale, as `{ type: "size", stops: [...] }`
+        return Math.max.apply(Math, [0].concat(sizes.map(function (size) {
+            return "number" === typeof size ? size : size && size.stops ? getMaxSize(size) : 0;
+        })));
+    }
+    /**
+     * The pixel distance from the location of a feature to the edge of the largest symbol the
+     * renderer can draw, including symbol offsets and size visual variables.
+     */
+    function getRendererTolerance(renderer) {
+        var infos = renderer.uniqueValueInfos || renderer.classBreakInfos || [];
+        var symbols = [renderer.symbol, renderer.defaultSymbol].concat(infos.map(function (info) { return info.symbol; }));
+        var visualVariables = renderer.visualVariables || [];
+        return Math.max.apply(Math, [0].concat(symbols.map(function (symbol) { return getSymbolTolerance(symbol); }), visualVariables
+            .filter(function (visualVariable) { return visualVariable.type === "size"; })
+            .map(function (visualVariable) { return getMaxSize(visualVariable) / 2 * PT_TO_PX; })));
+    }
+    function mergeOptions(base, value) {
+        return __assign({}, base, value, { buttons: __assign({}, base.buttons, (value && value.buttons)) });
+    }
+    function getGesture(event) {
+        var native = event.native || {};
+        if (event.type === "double-click") {
+            return "double-click";
+        }
+        if (event.button === 2) {
+            return "right-click";
+        }
+        if (event.button !== 0 || native.altKey) {
+            return null;
+        }
+        return native.ctrlKey || native.metaKey ? "ctrl-click" : native.shiftKey ? "shift-click" : "click";
+    }
+    /**
+     * Tells whether a key press matches a shortcut. Letters, digits and punctuation are also
+     * matched by their physical key, since modifiers such as `Alt` change the typed character on
+     * some platforms.
+     */
+    function matchesShortcut(event, shortcut) {
+        if (!shortcut) {
+            return false;
+        }
+        var parts = shortcut.split("+");
+        var key = parts.pop() || "+";
+        var modifiers = parts.map(function (part) { return part.toLowerCase(); });
+        if (event.altKey !== modifiers.indexOf("alt") > -1 ||
+            event.ctrlKey !== modifiers.indexOf("ctrl") > -1 ||
+            event.shiftKey !== modifiers.indexOf("shift") > -1 ||
+            event.metaKey !== modifiers.indexOf("meta") > -1) {
+            return false;
+        }
+        if (event.key && event.key.toLowerCase() === key.toLowerCase()) {
+            return true;
+        }
+        var code = KEY_CODES[key] ||
+            (/^[a-z]$/i.test(key) ? "Key" + key.toUpperCase() : /^[0-9]$/.test(key) ? "Digit" + key : null);
+        return !!code && event.code === code;
+    }
+    function isSameFeature(a, b) {
+        if (a === b) {
+            return true;
+        }
+        var identityA = getFeatureIdentity(a);
+        var identityB = getFeatureIdentity(b);
+        return !!identityA && !!identityB && getFeatureKey(identityA) === getFeatureKey(identityB);
+    }
+    /**
+     * The distance between a feature and a location, `0` when the location is inside the feature.
+     * Features in another spatial reference are measured from their label point when possible.
+     */
+    function getFeatureDistance(feature, location) {
+        var geometry = feature.geometry;
+        if (!geometry || !location) {
+            return Infinity;
+        }
+        if (geometry.spatialReference && geometry.spatialReference.equals(location.spatialReference)) {
+            return geometryEngine.distance(geometry, location, null);
+        }
+        var point = getLabelPoint(geometry);
+        return point && point.spatialReference && point.spatialReference.equals(location.spatialReference) ?
+            Math.sqrt(Math.pow(point.x - location.x, 2) + Math.pow(point.y - location.y, 2)) :
+            Infinity;
+    }
+    /**
+     * Sorts without changing the order of features that compare equal.
+     */
+    function stableSort(features, compare) {
+        return features
+            .map(function (feature, index) { return ({ feature: feature, index: index }); })
+            .sort(function (a, b) { return compare(a.feature, b.feature) || a.index - b.index; })
+            .map(function (item) { return item.feature; });
+    }
+    function getResultFeatures(results) {
+        return results.reduce(function (all, result) { return all.concat(result.value || []); }, []);
+    }
+    function indexOfFeature(features, key) {
+        for (var i = 0; i < features.length; i++) {
+            var identity = getFeatureIdentity(features[i]);
+            if (identity && getFeatureKey(identity) === key) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    /**
+     * Encodes pops as `layerId:objectId,layerId:objectId@selectedIndex;...`. Layer ids are URI
+     * encoded, so the separators can't appear inside them.
+     */
+    function encodeHashEntries(entries) {
+        return entries.map(function (entry) {
+            var features = entry.features
+                .map(function (_a) {
+                var layerId = _a.layerId, objectId = _a.objectId;
+                return encodeURIComponent(layerId) + ":" + objectId;
+            })
+                .join(",");
+            return entry.selectedFeatureIndex ? features + "@" + entry.selectedFeatureIndex : features;
+        }).join(";");
+    }
+    function decodeHashEntries(value) {
+        return value.split(";").map(function (part) {
+            var _a = part.split("@"), featuresPart = _a[0], indexPart = _a[1];
+            var features = featuresPart.split(",").map(function (feature) {
+                var _a = feature.split(":"), layerId = _a[0], objectId = _a[1];
+                return { layerId: decodeURIComponent(layerId), objectId: Number(objectId) };
+            }).filter(function (_a) {
+                var layerId = _a.layerId, objectId = _a.objectId;
+                return !!layerId && !isNaN(objectId);
+            });
+            return {
+                location: null,
+                features: features,
+                selectedFeatureIndex: parseInt(indexPart, 10) || 0,
+                dockEnabled: false,
+                collapsed: false,
+                number: null
+            };
+        }).filter(function (entry) { return entry.features.length > 0; });
+    }
+    function isFeatureIdentity(identity) {
+        return !!identity &&
+            ("string" === typeof identity.layerId || "number" === typeof identity.layerId) && identity.layerId !== "" &&
+            "number" === typeof identity.objectId && !isNaN(identity.objectId);
+    }
+    /**
+     * Returns the entries of a session document that can be restored, keeping only the features
+     * identified by a layer id and an object id. Entries left without features are dropped.
+     */
+    function getSessionEntries(document) {
+        var entries = document && Array.isArray(document.floatpops) ? document.floatpops : [];
+        return entries
+            .filter(function (entry) { return !!entry && Array.isArray(entry.features); })
+            .map(function (entry) {
+            var selected = entry.features[entry.selectedFeatureIndex];
+            var features = entry.features.filter(isFeatureIdentity);
+            return __assign({}, entry, { features: features, selectedFeatureIndex: Math.max(features.indexOf(selected), 0), number: "number" === typeof entry.number ? entry.number : null });
+        })
+            .filter(function (entry) { return entry.features.length > 0; });
+    }
+    function readHashParam(key) {
+        var params = window.location.hash.replace(/^#/, "").split("&");
+        for (var _i = 0, params_1 = params; _i < params_1.length; _i++) {
+            var param = params_1[_i];
+            var index = param.indexOf("=");
+            if (index !== -1 && param.slice(0, index) === key) {
+                return param.slice(index + 1);
+            }
+        }
+        return null;
+    }
+    function writeHashParam(key, value) {
+        var params = window.location.hash.replace(/^#/, "").split("&")
+            .filter(function (param) { return !!param && param.split("=")[0] !== key; });
+        if (value) {
+            params.push(key + "=" + value);
+        }
+        var hash = params.length ? "#" + params.join("&") : "";
+        var url = window.location.href.replace(/#.*$/, "") + hash;
+        // replacing the state keeps history clean and doesn't fire hashchange
+        window.history.replaceState(window.history.state, document.title, url);
+    }
+    function intersects(a, b) {
+        return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+    /**
+     * Moves `box` out of the `placed` boxes one collision at a time, taking the shortest move that
+     * keeps it inside the view, and returns the total shift in pixels.
+     */
+    function resolveOverlap(box, placed, viewWidth, viewHeight) {
+        var shift = { x: 0, y: 0 };
+        var _loop_1 = function (i) {
+            var current = { x: box.x + shift.x, y: box.y + shift.y, width: box.width, height: box.height };
+            var hit = placed.filter(function (other) { return intersects(current, other); })[0];
+            if (!hit) {
+                return "break";
+            }
+            var moves = [
+                { x: 0, y: hit.y - (current.y + current.height) - LAYOUT_GAP },
+                { x: 0, y: hit.y + hit.height - current.y + LAYOUT_GAP },
+                { x: hit.x - (current.x + current.width) - LAYOUT_GAP, y: 0 },
+                { x: hit.x + hit.width - current.x + LAYOUT_GAP, y: 0 }
+            ];
+            var inView = moves.filter(function (move) {
+                var x = current.x + move.x;
+                var y = current.y + move.y;
+                return x >= 0 && y >= 0 && x + current.width <= viewWidth && y + current.height <= viewHeight;
+            });
+            // when nothing fits, moving up is the least surprising for pops that sit above their anchor
+            var move = (inView.length ? inView : moves.slice(0, 1))
+                .sort(function (a, b) { return (Math.abs(a.x) + Math.abs(a.y)) - (Math.abs(b.x) + Math.abs(b.y)); })[0];
+            shift.x += move.x;
+            shift.y += move.y;
+        };
+        for (var i = 0; i < LAYOUT_MAX_ITERATIONS; i++) {
+            var state_1 = _loop_1(i);
+            if (state_1 === "break")
+                break;
+        }
+        return shift;
+    }
+    function getPolylineMidpoint(polyline) {
+        var segments = [];
+        var total = 0;
+        polyline.paths.forEach(function (path) {
+            for (var i = 1; i < path.length; i++) {
+                segments.push([path[i - 1], path[i]]);
+                total += Math.sqrt(Math.pow(path[i][0] - path[i - 1][0], 2) + Math.pow(path[i][1] - path[i - 1][1], 2));
+            }
+        });
+        if (!segments.length) {
+            return polyline.paths.length && polyline.paths[0].length ? polyline.getPoint(0, 0) : null;
+        }
+        var remaining = total / 2;
+        for (var _i = 0, segments_1 = segments; _i < segments_1.length; _i++) {
+            var _a = segments_1[_i], start = _a[0], end = _a[1];
+            var length_1 = Math.sqrt(Math.pow(end[0] - start[0], 2) + Math.pow(end[1] - start[1], 2));
+            if (remaining <= length_1) {
+                var ratio = length_1 ? remaining / length_1 : 0;
+                return new Point({
+                    x: start[0] + (end[0] - start[0]) * ratio,
+                    y: start[1] + (end[1] - start[1]) * ratio,
+                    z: polyline.hasZ ? start[2] + (end[2] - start[2]) * ratio : undefined,
+                    spatialReference: polyline.spatialReference
+                });
+            }
+            remaining -= length_1;
+        }
+        var _b = segments[segments.length - 1], last = _b[1];
+        return new Point({
+            x: last[0],
+            y: last[1],
+            z: polyline.hasZ ? last[2] : undefined,
+            spatialReference: polyline.spatialReference
+        });
+    }
+    function getLabelPoint(geometry) {
+        if (!geometry) {
+            return null;
+        }
+        switch (geometry.type) {
+            case "point":
+                return geometry;
+            case "polygon":
+                return geometry.centroid;
+            case "polyline":
+                return getPolylineMidpoint(geometry);
+            case "multipoint":
+                return geometry.points.length ? geometry.getPoint(0) : null;
+            default:
+                return geometry.extent ? geometry.extent.center : null;
+        }
+    }
     var FloatPopManager = /** @class */ (function (_super) {
         __extends(FloatPopManager, _super);
         function FloatPopManager(params) {
             var _this = _super.call(this) || this;
-            _this.options = null;
             _this.floatpops = null;
+            /**
+             * When `true`, the `keyboardShortcuts` work while the focus is in the view or one of its pops.
+             */
+            _this.keyboardEnabled = true;
             _this.autoclose = false;
+            /**
+             * When `false`, clicking a feature that an open pop already shows doesn't open another pop:
+             * the existing one is brought to front, flashed and selects the feature. A click on a graphic
+             * is checked right away and the new pop opens while its features load; only a click that hits
+             * no graphic, or a manager that ranks features, waits for the queries to resolve.
+             */
+            _this.allowDuplicates = false;
+            /**
+             * When `true`, hovering a feature shows a transient preview pop and clicking promotes the
+             * preview to a real pop. The preview is updated at most once per `hoverThrottle` milliseconds.
+             */
+            _this.hoverEnabled = false;
+            /**
+             * Layers, or their ids, that can produce pops. When set, other layers are ignored. A group
+             * layer includes the layers it contains.
+             */
+            _this.includeLayers = null;
+            /**
+             * Layers, or their ids, that never produce pops. A group layer excludes the layers it
+             * contains.
+             */
+            _this.excludeLayers = null;
+            /**
+             * Per-layer opt-in or opt-out by layer id, e.g. `{ roads: false }`. It overrides the
+             * `floatPopEnabled` property of the layer, which in turn overrides its `popupEnabled`.
+             * While the manager is enabled, the view's own popup doesn't open, so layers can keep
+             * `popupEnabled` on.
+             */
+            _this.layerFloatPopEnabled = null;
+            /**
+             * Called with each layer that passes `includeLayers` and `excludeLayers`, returns whether the
+             * layer can produce pops.
+             */
+            _this.layerFilter = null;
+            /**
+             * Called with each graphic found under a click, including the graphics of the view, returns
+             * whether it can show in a pop.
+             */
+            _this.graphicFilter = null;
+            _this.hoverThrottle = 200;
+            /**
+             * The order in which a pop pages through the features found by a click, see
+             * `FloatPopRanking`. The feature hit on screen always comes first. Ranking, like the feature
+             * limits, waits for all the layers to answer before the pop opens.
+             */
+            _this.ranking = "none";
+            /**
+             * Layers, or their ids, in order of priority for the `layer-priority` ranking. Unlisted layers
+             * come last. A group layer gives its priority to the layers it contains.
+             */
+            _this.layerPriority = null;
+            /**
+             * The maximum number of features in a pop, `0` for no limit.
+             */
+            _this.maxFeatures = 0;
+            /**
+             * The maximum number of features of each layer in a pop, `0` for no limit.
+             */
+            _this.maxFeaturesPerLayer = 0;
+            /**
+             * The smallest distance in pixels between a click and a feature that still hits it. The
+             * distance used for a layer grows with the size of its symbols up to `maxClickTolerance`.
+             */
+            _this.minClickTolerance = 6;
+            /**
+             * The largest distance in pixels between a click and a feature that still hits it.
+             */
+            _this.maxClickTolerance = 48;
+            _this.numberingPolicy = "reuse";
+            /**
+             * How room is made for a new pop once `maxPops` is reached. See `FloatPopEvictionPolicy`.
+             */
+            _this.evictionPolicy = "oldest";
             _this.layer = null;
             _this.features = null;
             _this._featureLayersCache = null;
             _this._clickHandle = null;
+            _this._handles = null;
+            _this._numberGraphics = null;
+            _this._lastNumber = 0;
+            _this._hashRestored = false;
+            _this._layoutFrame = 0;
+            _this._popStates = null;
+            _this._popCounter = 0;
+            _this._popOptions = null;
+            _this._liveRegionNode = null;
+            _this._previewPop = null;
+            _this._hoverEvent = null;
+            _this._hoverTimer = 0;
+            _this._hoverId = 0;
+            _this._hoverDoneId = 0;
+            _this._messages = i18n;
             _this._featureLayersCache = {};
+            _this._handles = new HandleRegistry();
+            _this._numberGraphics = {};
+            _this._popStates = {};
+            _this._popOptions = {};
             _this.floatpops = new Collection();
-            _this.options = {
-                shape: "normal",
-                showButton: true,
-            };
             return _this;
         }
+        FloatPopManager.prototype.initialize = function () {
+            var _this = this;
+            this._handles.add([
+                watchUtils.watch(this, "view.extent", function () { return _this._scheduleLayout(); }),
+                watchUtils.on(this, "floatpops", "change", function () { return _this._scheduleLayout(); })
+            ], "layout");
+            this._handles.add([
+                watchUtils.init(this, "view.container", function (container) { return _this._setupKeyboard(container); }),
+                watchUtils.init(this, ["view", "hoverEnabled"], function () { return _this._setupHover(); }),
+                watchUtils.init(this, ["view.popup", "enabled"], function () { return _this._suppressViewPopup(); })
+            ]);
+        };
         FloatPopManager.prototype.destroy = function () {
+            if (this._layoutFrame) {
+                cancelAnimationFrame(this._layoutFrame);
+                this._layoutFrame = 0;
+            }
             this._featureLayersCache = {};
+            this._setupKeyboard(null);
+            this._cancelHover();
+            this._handles.destroy();
+            this._handles = null;
+            this._clearNumbers();
             this.view = null;
         };
         Object.defineProperty(FloatPopManager.prototype, "enabled", {
@@ -54,7 +516,7 @@ define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core
                     this._clickHandle = null;
                 }
                 if (value) {
-                    this._clickHandle = on.pausable(value, "click", this._clickHandler.bind(this));
+                    this._clickHandle = on.pausable(value, "click, double-click", this._gestureHandler.bind(this));
                     this.enabled || this._clickHandle.pause();
                 }
                 this._set("view", value);
@@ -69,19 +531,297 @@ define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core
             enumerable: true,
             configurable: true
         });
+        Object.defineProperty(FloatPopManager.prototype, "options", {
+            /**
+             * Options applied to every FloatPop created by the manager. Unset values fall back to the
+             * defaults, changing the options updates the pops that are already open.
+             */
+            get: function () {
+                return this._get("options") || DEFAULT_OPTIONS;
+            },
+            set: function (value) {
+                var _this = this;
+                this._set("options", mergeOptions(DEFAULT_OPTIONS, value));
+                this.floatpops && this.floatpops.forEach(function (pop) { return _this._applyOptions(pop); });
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "trigger", {
+            /**
+             * The gestures that open pops, see `FloatPopTrigger`. A gesture name sets the `open` gesture,
+             * `programmatic` disables both gestures. Unset values fall back to opening pops on click.
+             * Whatever it's set to, it reads back as a `FloatPopTrigger`.
+             */
+            get: function () {
+                return this._get("trigger") || DEFAULT_TRIGGER;
+            },
+            set: function (value) {
+                var trigger = "string" === typeof value ?
+                    (value === "programmatic" ? { open: "none", replace: "none" } : { open: value }) :
+                    value;
+                this._set("trigger", __assign({}, DEFAULT_TRIGGER, trigger));
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "locale", {
+            /**
+             * The locale of the strings of the manager and its pops, such as `en` or `zh-cn`. When not
+             * set, the locale of the page is used. Changing it re-renders the open pops and their lists.
+             */
+            set: function (value) {
+                this._set("locale", value);
+                this._loadMessages(value);
+                this.floatpops && this.floatpops.forEach(function (pop) { return pop.locale = value; });
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "keyboardShortcuts", {
+            /**
+             * Shortcuts to move between pops, close or pin the active pop and page through its features.
+             * Unset shortcuts fall back to the defaults.
+             */
+            get: function () {
+                return this._get("keyboardShortcuts") || DEFAULT_SHORTCUTS;
+            },
+            set: function (value) {
+                this._set("keyboardShortcuts", __assign({}, DEFAULT_SHORTCUTS, value));
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "activePop", {
+            /**
+             * The pop the user is working with, shown on top of the others and marked as active.
+             * Clicking, focusing or hovering a pop activates it, so does setting this property.
+             */
+            set: function (value) {
+                if (value && !this.floatpops.includes(value)) {
+                    return;
+                }
+                var previous = this._get("activePop");
+                if (previous && previous !== value) {
+                    previous.active = false;
+                }
+                this._set("activePop", value);
+                if (value) {
+                    value.active = true;
+                    this._bringToFront(value);
+                }
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "autonumber", {
+            set: function (value) {
+                this._set("autonumber", value);
+                this._updateNumbers();
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "maxPops", {
+            /**
+             * The maximum number of open pops, `0` for no limit. Once it's reached, opening a pop evicts
+             * another one according to `evictionPolicy`.
+             */
+            set: function (value) {
+                this._set("maxPops", value);
+                if (value > 0 && this.floatpops) {
+                    this._makeRoom(value);
+                }
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "layoutEnabled", {
+            /**
+             * When `true`, pops that overlap are moved apart after they open and whenever the view extent
+             * changes. A moved pop is joined to its location by a leader line.
+             */
+            set: function (value) {
+                this._set("layoutEnabled", value);
+                if (value) {
+                    this._scheduleLayout();
+                    return;
+                }
+                this.floatpops && this.floatpops.forEach(function (pop) { return pop.displacement = null; });
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(FloatPopManager.prototype, "hashSyncEnabled", {
+            /**
+             * When `true`, the open pops are kept in the `floatpops` parameter of the URL hash and the
+             * pops found there are reopened once the view is ready, so links bring the same pops along.
+             */
+            set: function (value) {
+                var _this = this;
+                this._set("hashSyncEnabled", value);
+                this._hashRestored = false;
+                this._handles.remove("hash-sync");
+                if (value) {
+                    this._handles.add(watchUtils.whenOnce(this, "view.ready", function () { return _this._restoreFromHash(); }), "hash-sync");
+                }
+            },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * Closes the pops that aren't pinned when `autoclose` is on.
+         */
         FloatPopManager.prototype.closeAll = function () {
             if (this.autoclose) {
-                if (this.floatpops && this.floatpops.length) {
-                    this.floatpops.forEach(function (pop) {
-                        pop.clear();
-                        pop.close();
-                    });
-                }
+                this.closeUnpinned();
+            }
+        };
+        /**
+         * Closes every pop that isn't pinned, whether `autoclose` is on or not.
+         */
+        FloatPopManager.prototype.closeUnpinned = function () {
+            if (this.floatpops && this.floatpops.length) {
+                this.floatpops
+                    .filter(function (pop) { return !pop.pinned; })
+                    .forEach(function (pop) {
+                    pop.clear();
+                    pop.close();
+                });
             }
         };
-        FloatPopManager.prototype.showAll = function () {
+        /**
+         * Unpins all the open pops, so the next click closes them when `autoclose` is on.
+         */
+        FloatPopManager.prototype.unpinAll = function () {
+            if (this.floatpops) {
+                this.floatpops.forEach(function (pop) { return pop.pinned = false; });
+            }
+        };
+        /**
+         * Opens a pop from code. The pop is handled like one opened by a click: it's numbered, laid
+         * out, counted against `maxPops` and closed by autoclose unless pinned. Features that an open
+         * pop already shows focus that pop instead, unless `allowDuplicates` is on. Pops opened from
+         * `promises` aren't checked for duplicates.
+         *
+         * @param {Object} params
+         * @param {module:esri/geometry/Point} [params.location] - Where the pop points to. Defaults to the label point of the first feature.
+         * @param {module:esri/Graphic[]} [params.features] - The features to show.
+         * @param {Promise[]} [params.promises] - Promises resolving with the features to show.
+         * @param {string} [params.title] - The title of the pop.
+         * @param {string | Node} [params.content] - The content of the pop.
+         * @param {Object} [params.options] - Options of this pop, overriding the manager `options`.
+         *
+         * @return {FloatPop} The opened or focused pop, `null` when it couldn't be opened.
+         */
+        FloatPopManager.prototype.open = function (params) {
+            var features = params.features, promises = params.promises, title = params.title, content = params.content, options = params.options;
+            var location = params.location || (features && features.length ? getLabelPoint(features[0].geometry) : null);
+            if (!this.view || !location) {
+                return null;
+            }
+            var duplicate = features && features.length && !this.allowDuplicates ? this._findDuplicate(features[0]) : null;
+            if (duplicate) {
+                this._focusDuplicate(duplicate.pop, duplicate.index);
+                return duplicate.pop;
+            }
+            var pop = this._createPopup(options);
+            pop.open({ location: location, features: features, promises: promises, title: title, content: content });
+            return this._addPopup(pop) ? pop : null;
+        };
+        /**
+         * Opens one FloatPop per feature, anchored at the feature's label point: the point itself,
+         * the centroid of a polygon or the midpoint of a line. Features are taken from `features`
+         * when it has items, otherwise they are queried from `layer`.
+         *
+         * @param {Object} [options]
+         * @param {module:esri/tasks/support/Query} [options.query] - Query used against `layer`.
+         * @param {string} [options.where] - Where clause applied to the query against `layer`. Overrides `query.where`.
+         * @param {number} [options.max] - Maximum number of pops to open.
+         *
+         * @return {Promise<FloatPop[]>} Resolves with the pops that were opened.
+         */
+        FloatPopManager.prototype.showAll = function (options) {
+            var _this = this;
+            if (options === void 0) { options = {}; }
+            var max = options.max;
+            return this._getShowAllFeatures(options).then(function (features) {
+                var limited = max > 0 ? features.slice(0, max) : features;
+                return limited
+                    .map(function (feature) { return _this._showFeature(feature); })
+                    .filter(function (pop) { return !!pop; });
+            });
+        };
+        /**
+         * Serializes the open pops to a JSON document that `loadSession` can restore. Only features
+         * that belong to a layer with an object id field are recorded, pops without any are skipped.
+         *
+         * @return {Object} The session document.
+         */
+        FloatPopManager.prototype.saveSession = function () {
+            var _this = this;
+            return {
+                version: SESSION_VERSION,
+                floatpops: this.floatpops.toArray()
+                    .map(function (pop) { return _this._serializePopup(pop); })
+                    .filter(function (entry) { return !!entry; })
+            };
+        };
+        /**
+         * Reopens the pops of a document created by `saveSession`, re-querying their features from
+         * the layers in the map. The pops are added to the ones already open; unless `allowDuplicates`
+         * is on, a pop whose selected feature is already open selects it in the existing pop instead.
+         *
+         * @param {Object | string} session - The session document or its JSON string.
+         *
+         * @return {Promise<FloatPop[]>} Resolves with the pops that were restored, rejects when the
+         *                               JSON string can't be parsed. Malformed entries are skipped.
+         */
+        FloatPopManager.prototype.loadSession = function (session) {
+            var _this = this;
+            var document;
+            try {
+                document = "string" === typeof session ? JSON.parse(session) : session;
+            }
+            catch (error) {
+                return promiseUtils.reject(error);
+            }
+            var entries = getSessionEntries(document);
+            var objectIdsByLayer = {};
+            entries.forEach(function (entry) {
+                entry.features.forEach(function (_a) {
+                    var layerId = _a.layerId, objectId = _a.objectId;
+                    var objectIds = objectIdsByLayer[layerId] || (objectIdsByLayer[layerId] = []);
+                    objectIds.indexOf(objectId) === -1 && objectIds.push(objectId);
+                });
+            });
+            var layerIds = Object.keys(objectIdsByLayer);
+            var promises = layerIds.map(function (layerId) { return _this._queryFeaturesByIds(layerId, objectIdsByLayer[layerId]); });
+            return promiseUtils.eachAlways(promises).then(function (results) {
+                var featuresByKey = {};
+                results.forEach(function (result) {
+                    (result.value || []).forEach(function (feature) {
+                        var identity = getFeatureIdentity(feature);
+                        identity && (featuresByKey[getFeatureKey(identity)] = feature);
+                    });
+                });
+                return entries
+                    .map(function (entry) { return _this._restorePopup(entry, featuresByKey); })
+                    .filter(function (pop, index, pops) { return !!pop && pops.indexOf(pop) === index; });
+            });
         };
         FloatPopManager.prototype._showPopup = function (b, a) {
+            if (this._promotePreview()) {
+                return;
+            }
+            var p = this._queryPopupFeatures(b, a);
+            p ? p.length && this._openPopup(this._createPopup(), p, b.mapPoint, a) : this._closePopup();
+        };
+        /**
+         * Gathers the layers that can show pops at the event location and queries their features.
+         * Returns `null` when nothing was hit and open pops may be closed.
+         */
+        FloatPopManager.prototype._queryPopupFeatures = function (b, a) {
             function f(c) { return h.allLayerViews.find(function (a) { return a.layer === c; }); }
             function g(c) {
                 if (null == c)
@@ -89,9 +829,8 @@ define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core
                 var a = f(c);
                 return null == a ? !1 : c.loaded && !a.suspended &&
                     (
-                    // 这里需要关闭popupEnabled，从而避免view自身的popup弹出
-                    // 将来考虑增加一个标识
-                    // c.popupEnabled &&
+                    // 图层是否弹出由 _isLayerEnabled 中的 floatPopEnabled 决定，
+                    // view 自身的 popup 在 manager 启用时已被屏蔽
                     c.popupTemplate
                         || "graphics" === c.type || "geo-rss" === c.type || "map-notes" ===
                         c.type || "kml" === c.type || a.getPopupData);
@@ -99,31 +838,27 @@ define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core
             function x(a) { return (a = f(a)) && a.hasDraped; }
             var h = this.view, 
             // y = h.popup,
-            y = new FloatPop({
-                container: document.createElement("div"),
-            }), r = this, d = [], e = "3d" === h.type;
-            // initialize the float pop
-            y.viewModel.view = h;
-            var popupContainer = h.get('popup');
-            domConstruct.place(y.container, popupContainer.domNode);
-            arrayUtil.forEach(this.map.layers.toArray(), function (a) {
-                a.isInstanceOf(GroupLayer) ? arrayUtil.forEach(a.layers.toArray(), function (a) {
-                    !g(a) || e && !x(a) || d.push(a);
-                }) : !g(a) || e && !x(a) || d.push(a);
+            r = this, d = [], e = "3d" === h.type;
+            arrayUtil.forEach(floatPopUtils.collectLayers(this.map.layers), function (a) {
+                !g(a) || e && !x(a) || !r._isLayerEnabled(a) || d.push(a);
             });
             0 < h.graphics.length && d.push(h.graphics);
-            (a && h.graphics.includes(a) ? a.popupTemplate : !a || g(a.layer)) || (a = null);
+            (a && h.graphics.includes(a) ? a.popupTemplate : !a || g(a.layer) && r._isLayerEnabled(a.layer)) || (a = null);
+            a && !r._isGraphicEnabled(a) && (a = null);
             if (d.length || a) {
-                var p = [], t = !!a, v = r._calculateClickTolerance(d), n = b.mapPoint;
+                var p = [], t = !!a, n = b.mapPoint;
                 if (n) {
                     var w = 1;
                     h.state && (w = h.state.resolution);
                     var k = h.basemapTerrain;
                     k && k.overlayManager && (w = k.overlayManager.overlayPixelSizeInMapUnits(n));
-                    v *= w;
-                    k && !k.spatialReference.equals(h.spatialReference) && (v *= scaleUtils.getMetersPerUnitForSR(k.spatialReference) / scaleUtils.getMetersPerUnitForSR(h.spatialReference));
-                    var k = n.clone().offset(-v, -v), n = n.clone().offset(v, v), q = new Extent(Math.min(k.x, n.x), Math.min(k.y, n.y), Math.max(k.x, n.x), Math.max(k.y, n.y), h.spatialReference), n = function (c) {
-                        var g;
+                    k && !k.spatialReference.equals(h.spatialReference) && (w *= scaleUtils.getMetersPerUnitForSR(k.spatialReference) / scaleUtils.getMetersPerUnitForSR(h.spatialReference));
+                    // 每个图层按其符号大小计算点击容差
+                    var o = n, z = function (c) {
+                        var v = r._calculateClickTolerance([c]) * w;
+                        return new Extent(o.x - v, o.y - v, o.x + v, o.y + v, h.spatialReference);
+                    }, n = function (c) {
+                        var g, q = z(c);
                         if ("imagery" === c.type) {
                             g = new Query();
                             g.geometry = b.mapPoint;
@@ -161,68 +896,869 @@ define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core
                     };
                     if (e && !a || !e)
                         var p = d.map(n).filter(function (a) { return !!a; }), u = function (a) { return a.reduce(function (a, b) { return a.concat(b.items ? u(b.items) : b); }, []); }, p = u(p);
+                    r.graphicFilter && (p = p.map(function (a) {
+                        return a.then(function (b) { return b && b.filter(function (a) { return r._isGraphicEnabled(a); }); });
+                    }));
                     a && (a.layer && "scene" === a.layer.type ? p.unshift(this._fetchSceneAttributes(a.layer, [a])) : a.popupTemplate && (n = new Deferred(), p.unshift(n.resolve([a]))));
-                    arrayUtil.some(p, function (a) { return !a.isFulfilled(); }) || t ?
-                        p.length && (y.open({ promises: p, location: b.mapPoint }), r.floatpops.add(y)) :
-                        r._closePopup();
-                }
-                else {
-                    r._closePopup();
+                    return arrayUtil.some(p, function (a) { return !a.isFulfilled(); }) || t ? p : null;
                 }
             }
-            else {
-                r._closePopup();
-            }
+            return null;
         };
         FloatPopManager.prototype._closePopup = function () {
+            var _this = this;
             var pops = this.floatpops;
             if (this.autoclose) {
                 if (pops && pops.length > 0) {
-                    pops.forEach(function (pop) {
-                        pop.clear();
-                        pop.close();
-                        pop.destroy();
-                    });
-                    pops.removeAll();
+                    pops.filter(function (pop) { return !pop.pinned; }).forEach(function (pop) { return _this._removePopup(pop); });
                 }
             }
         };
-        FloatPopManager.prototype._fetchSceneAttributes = function (b, a) {
-            return this.view.whenLayerView(b)
-                .then(function (f) {
-                var g = this._getOutFields(b.popupTemplate), x = a.map(function (a) {
-                    return f.whenGraphicAttributes(a, g)
-                        .otherwise(function () { return a; });
+        FloatPopManager.prototype._openPopup = function (pop, promises, location, hit) {
+            var _this = this;
+            if (!this.allowDuplicates && hit) {
+                // the hit graphic is known right away, a pop showing it is focused without waiting for the queries
+                var duplicate = this._findDuplicate(hit);
+                if (duplicate) {
+                    this._destroyPopup(pop);
+                    this._focusDuplicate(duplicate.pop, duplicate.index);
+                    return;
+                }
+            }
+            // without a hit the duplicate can only be told once the first feature is known
+            if (!this._isRankingEnabled() && (this.allowDuplicates || hit)) {
+                pop.open({ promises: promises, location: location });
+                this._addPopup(pop);
+                return;
+            }
+            promiseUtils.eachAlways(promises).then(function (results) {
+                var features = _this._rankFeatures(getResultFeatures(results), location, hit);
+                var duplicate = features.length && !_this.allowDuplicates ? _this._findDuplicate(features[0]) : null;
+                if (pop.destroyed) {
+                    return;
+                }
+                if (!features.length || duplicate) {
+                    _this._destroyPopup(pop);
+                    duplicate && _this._focusDuplicate(duplicate.pop, duplicate.index);
+                    return;
+                }
+                pop.open({ features: features, location: location });
+                _this._addPopup(pop);
+            }).otherwise(function () {
+                // e.g. a ranking comparator that throws, don't leave a pop behind that never opens
+                if (!pop.destroyed) {
+                    _this.floatpops.includes(pop) ? _this._removePopup(pop) : _this._destroyPopup(pop);
+                }
+            });
+        };
+        FloatPopManager.prototype._isRankingEnabled = function () {
+            return this.ranking !== "none" || this.maxFeatures > 0 || this.maxFeaturesPerLayer > 0;
+        };
+        FloatPopManager.prototype._rankFeatures = function (features, location, hit) {
+            var _this = this;
+            var _a = this, ranking = _a.ranking, maxFeatures = _a.maxFeatures, maxFeaturesPerLayer = _a.maxFeaturesPerLayer;
+            var byDistance = function (a, b) { return getFeatureDistance(a, location) - getFeatureDistance(b, location); };
+            var ranked = features;
+            if ("function" === typeof ranking) {
+                ranked = stableSort(ranked, function (a, b) { return ranking(a, b, location); });
+            }
+            else if (ranking === "distance") {
+                ranked = stableSort(ranked, byDistance);
+            }
+            else if (ranking === "layer-priority") {
+                ranked = stableSort(ranked, function (a, b) { return _this._getLayerPriority(a.layer) - _this._getLayerPriority(b.layer) || byDistance(a, b); });
+            }
+            var hitIndex = hit ? arrayUtil.indexOf(ranked.map(function (feature) { return isSameFeature(feature, hit); }), true) : -1;
+            if (hitIndex > 0) {
+                ranked = [ranked[hitIndex]].concat(ranked.slice(0, hitIndex), ranked.slice(hitIndex + 1));
+            }
+            if (maxFeaturesPerLayer > 0) {
+                var counts_1 = {};
+                ranked = ranked.filter(function (feature) {
+                    var key = feature.layer ? feature.layer.id : "";
+                    counts_1[key] = (counts_1[key] || 0) + 1;
+                    return counts_1[key] <= maxFeaturesPerLayer;
                 });
-                return z.eachAlways(x);
-            }.bind(this))
-                .then(function (a) { return a.map(function (a) { return a.value; }); });
-        };
-        FloatPopManager.prototype._calculateClickTolerance = function (b) {
-            var a = 6;
-            arrayUtil.forEach(b, function (b) {
-                if (b = b.renderer)
-                    "simple" === b.type ? ((b = b.symbol) && b.xoffset && (a = Math.max(a, Math.abs(b.xoffset))), b && b.yoffset && (a = Math.max(a, Math.abs(b.yoffset)))) : "unique-value" !== b.type && "class-breaks" !== b.type || arrayUtil.forEach(b.uniqueValueInfos || b.classBreakInfos, function (b) {
-                        (b = b.symbol) && b.xoffset && (a = Math.max(a, Math.abs(b.xoffset)));
-                        b && b.yoffset && (a = Math.max(a, Math.abs(b.yoffset)));
-                    });
+            }
+            return maxFeatures > 0 ? ranked.slice(0, maxFeatures) : ranked;
+        };
+        FloatPopManager.prototype._getLayerPriority = function (layer) {
+            var layerPriority = this.layerPriority || [];
+            var path = layer ? (this.map && floatPopUtils.findLayerPath(this.map.layers, layer) || []).concat(layer) : [];
+            var priorities = path
+                .map(function (item) { return Math.max(layerPriority.indexOf(item), layerPriority.indexOf(item.id)); })
+                .filter(function (index) { return index !== -1; });
+            return priorities.length ? Math.min.apply(Math, priorities) : layerPriority.length;
+        };
+        FloatPopManager.prototype._isLayerFloatPopEnabled = function (layer) {
+            var settings = this.layerFloatPopEnabled;
+            var _a = layer, floatPopEnabled = _a.floatPopEnabled, popupEnabled = _a.popupEnabled;
+            if (settings && settings[layer.id] != null) {
+                return settings[layer.id];
+            }
+            return floatPopEnabled != null ? !!floatPopEnabled : popupEnabled !== false;
+        };
+        FloatPopManager.prototype._isLayerEnabled = function (layer) {
+            var _a = this, includeLayers = _a.includeLayers, excludeLayers = _a.excludeLayers, layerFilter = _a.layerFilter;
+            if (!this._isLayerFloatPopEnabled(layer)) {
+                return false;
+            }
+            var layers = this.map && this.map.layers;
+            if (includeLayers && !floatPopUtils.matchesLayers(layers, layer, includeLayers)) {
+                return false;
+            }
+            if (excludeLayers && floatPopUtils.matchesLayers(layers, layer, excludeLayers)) {
+                return false;
+            }
+            return !layerFilter || layerFilter(layer);
+        };
+        FloatPopManager.prototype._isGraphicEnabled = function (graphic) {
+            var graphicFilter = this.graphicFilter;
+            return !graphicFilter || graphicFilter(graphic);
+        };
+        FloatPopManager.prototype._suppressViewPopup = function () {
+            var popup = this.get("view.popup");
+            this._handles.remove("view-popup");
+            if (this.enabled && popup) {
+                // there's no way to keep the view from opening its popup before 4.7, close it as soon as it shows
+                this._handles.add(watchUtils.whenTrue(popup, "visible", function () { return popup.close(); }), "view-popup");
+            }
+        };
+        FloatPopManager.prototype._setupHover = function () {
+            var _this = this;
+            var view = this.view;
+            this._handles.remove("hover");
+            this._cancelHover();
+            if (view && this.hoverEnabled) {
+                this._handles.add(view.on("pointer-move", function (event) { return _this._pointerMoveHandler(event); }), "hover");
+            }
+        };
+        FloatPopManager.prototype._pointerMoveHandler = function (event) {
+            var _this = this;
+            this._hoverEvent = event;
+            if (this._hoverTimer) {
+                return;
+            }
+            this._hoverTimer = setTimeout(function () {
+                _this._hoverTimer = 0;
+                _this._updatePreview(_this._hoverEvent);
+            }, this.hoverThrottle);
+        };
+        FloatPopManager.prototype._updatePreview = function (event) {
+            var _this = this;
+            var view = this.view;
+            var id = ++this._hoverId;
+            if (!this.enabled || !view || !view.ready) {
+                this._hoverDoneId = id;
+                this._hidePreview();
+                return;
+            }
+            var screenPoint = new ScreenPoint({ x: event.x, y: event.y });
+            var mapPoint = view.toMap(screenPoint);
+            if (!mapPoint) {
+                this._hoverDoneId = id;
+                this._hidePreview();
+                return;
+            }
+            var graphic = null;
+            view.hitTest(screenPoint)
+                .then(function (hit) {
+                graphic = hit.results.length ? hit.results[0].graphic : null;
+                var promises = id === _this._hoverId ? _this._queryPopupFeatures({ mapPoint: mapPoint, screenPoint: screenPoint }, graphic) : null;
+                return promises && promiseUtils.eachAlways(promises);
+            })
+                .then(function (results) {
+                if (id !== _this._hoverId) {
+                    return;
+                }
+                _this._hoverDoneId = id;
+                var features = results ? _this._rankFeatures(getResultFeatures(results), mapPoint, graphic) : [];
+                features.length ? _this._showPreview(features, mapPoint) : _this._hidePreview();
+            })
+                .otherwise(function () {
+                // a failed hit test or query ends the hover without a preview
+                if (id === _this._hoverId) {
+                    _this._hoverDoneId = id;
+                    _this._hidePreview();
+                }
+            });
+        };
+        FloatPopManager.prototype._showPreview = function (features, location) {
+            var pop = this._previewPop;
+            if (pop && pop.visible && isSameFeature(pop.selectedFeature, features[0])) {
+                return;
+            }
+            if (!pop) {
+                pop = this._previewPop = this._createPopup();
+                pop.set({
+                    closeButtonEnabled: false,
+                    dockButtonEnabled: false,
+                    pinButtonEnabled: false,
+                    featureMenuEnabled: false,
+                    collapseEnabled: false,
+                    dragEnabled: false
+                });
+            }
+            pop.open({ features: features, location: location });
+            pop.zIndex = this.floatpops.length + 1;
+        };
+        FloatPopManager.prototype._cancelHover = function () {
+            if (this._hoverTimer) {
+                clearTimeout(this._hoverTimer);
+                this._hoverTimer = 0;
+            }
+            this._hoverDoneId = ++this._hoverId;
+            this._hidePreview();
+        };
+        FloatPopManager.prototype._hidePreview = function () {
+            var pop = this._previewPop;
+            if (pop) {
+                this._previewPop = null;
+                this._destroyPopup(pop);
+            }
+        };
+        /**
+         * Turns the preview into a real pop, unless the pointer moved to another feature since it
+         * was shown.
+         */
+        FloatPopManager.prototype._promotePreview = function () {
+            var pop = this._previewPop;
+            var hoverPending = !!this._hoverTimer || this._hoverDoneId !== this._hoverId;
+            if (!pop || !pop.visible || !pop.selectedFeature || hoverPending) {
+                return false;
+            }
+            this._previewPop = null;
+            var duplicate = this.allowDuplicates ? null : this._findDuplicate(pop.selectedFeature);
+            if (duplicate) {
+                this._destroyPopup(pop);
+                this._focusDuplicate(duplicate.pop, duplicate.index);
+                return true;
+            }
+            pop.set({
+                collapseEnabled: true,
+                dragEnabled: true
             });
-            return a;
+            this._applyOptions(pop);
+            this._addPopup(pop);
+            return true;
+        };
+        FloatPopManager.prototype._findDuplicate = function (feature) {
+            var identity = getFeatureIdentity(feature);
+            if (!identity) {
+                return null;
+            }
+            var key = getFeatureKey(identity);
+            var index = -1;
+            var pop = this.floatpops.find(function (candidate) {
+                index = indexOfFeature(candidate.features || [], key);
+                return index !== -1;
+            });
+            return pop ? { pop: pop, index: index } : null;
+        };
+        FloatPopManager.prototype._focusDuplicate = function (pop, featureIndex) {
+            pop.set({
+                collapsed: false,
+                selectedFeatureIndex: featureIndex
+            });
+            this.activePop = pop;
+            pop.flash();
+        };
+        FloatPopManager.prototype._bringToFront = function (pop) {
+            var popStates = this._popStates;
+            if (!popStates[pop.id]) {
+                return;
+            }
+            popStates[pop.id].focused = ++this._popCounter;
+            this.floatpops.toArray()
+                .sort(function (a, b) { return popStates[a.id].focused - popStates[b.id].focused; })
+                .forEach(function (item, index) { return item.zIndex = index + 1; });
+        };
+        FloatPopManager.prototype._createPopup = function (options) {
+            var view = this.view;
+            var pop = new FloatPop({
+                container: document.createElement("div"),
+            });
+            if (options) {
+                this._popOptions[pop.id] = options;
+            }
+            this._applyOptions(pop);
+            pop.locale = this.locale;
+            // initialize the float pop
+            pop.viewModel.view = view;
+            var popupContainer = view.get("popup");
+            domConstruct.place(pop.container, popupContainer.domNode);
+            return pop;
+        };
+        FloatPopManager.prototype._applyOptions = function (pop) {
+            var popOptions = this._popOptions[pop.id];
+            var _a = popOptions ?
+                mergeOptions(this.options, popOptions) :
+                this.options, shape = _a.shape, showButton = _a.showButton, buttons = _a.buttons, circleLabelField = _a.circleLabelField;
+            var show = function (button) { return showButton !== false && button !== false; };
+            pop.set({
+                shape: shape,
+                circleLabelField: circleLabelField,
+                closeButtonEnabled: show(buttons.close),
+                dockButtonEnabled: show(buttons.dock),
+                pinButtonEnabled: show(buttons.pin),
+                paginationEnabled: show(buttons.pagination),
+                featureMenuEnabled: show(buttons.featureMenu)
+            });
+        };
+        FloatPopManager.prototype._getShowAllFeatures = function (options) {
+            var _a = this, features = _a.features, layer = _a.layer;
+            if (features && features.length) {
+                return promiseUtils.resolve(features.toArray());
+            }
+            var queryLayer = layer;
+            if (!queryLayer || "function" !== typeof queryLayer.queryFeatures) {
+                return promiseUtils.resolve([]);
+            }
+            return queryLayer.load().then(function () {
+                // work on a copy, the caller's query is left untouched
+                var query = options.query ? options.query.clone() : queryLayer.createQuery();
+                if (options.where) {
+                    query.where = options.where;
+                }
+                if (options.max > 0) {
+                    query.num = options.max;
+                }
+                query.returnGeometry = true;
+                return queryLayer.queryFeatures(query);
+            }).then(function (featureSet) {
+                // make sure the features can be identified by layer even if the query didn't set it
+                featureSet.features.forEach(function (feature) { return feature.layer || (feature.layer = queryLayer); });
+                return featureSet.features;
+            });
+        };
+        FloatPopManager.prototype._showFeature = function (feature) {
+            var location = getLabelPoint(feature.geometry);
+            if (!this.view || !location) {
+                return null;
+            }
+            var duplicate = this.allowDuplicates ? null : this._findDuplicate(feature);
+            if (duplicate) {
+                duplicate.pop.selectedFeatureIndex = duplicate.index;
+                return duplicate.pop;
+            }
+            var pop = this._createPopup();
+            pop.open({ features: [feature], location: location });
+            return this._addPopup(pop) ? pop : null;
+        };
+        FloatPopManager.prototype._findLayer = function (layerId) {
+            var map = this.map;
+            return map && map.allLayers.find(function (layer) { return layer.id === layerId; }) || null;
+        };
+        FloatPopManager.prototype._queryFeaturesByIds = function (layerId, objectIds) {
+            var layer = this._findLayer(layerId);
+            if (!layer || "function" !== typeof layer.queryFeatures) {
+                return promiseUtils.resolve([]);
+            }
+            return layer.load().then(function () {
+                var query = layer.createQuery();
+                query.objectIds = objectIds;
+                query.outFields = ["*"];
+                query.returnGeometry = true;
+                return layer.queryFeatures(query);
+            }).then(function (featureSet) {
+                // make sure the features can be identified by layer even if the query didn't set it
+                featureSet.features.forEach(function (feature) { return feature.layer || (feature.layer = layer); });
+                return featureSet.features;
+            });
+        };
+        FloatPopManager.prototype._serializePopup = function (pop) {
+            var features = pop.features || [];
+            var identities = features.map(function (feature) { return getFeatureIdentity(feature); });
+            var selectedIdentity = identities[pop.selectedFeatureIndex];
+            var restorable = identities.filter(function (identity) { return !!identity; });
+            if (!restorable.length) {
+                return null;
+            }
+            return {
+                location: pop.location ? pop.location.toJSON() : null,
+                features: restorable,
+                selectedFeatureIndex: Math.max(restorable.indexOf(selectedIdentity), 0),
+                dockEnabled: pop.dockEnabled,
+                collapsed: pop.collapsed,
+                number: pop.number,
+                offset: pop.offset ? { x: pop.offset.x, y: pop.offset.y } : null,
+                pinned: pop.pinned
+            };
+        };
+        FloatPopManager.prototype._restorePopup = function (entry, featuresByKey) {
+            var selected = entry.features[entry.selectedFeatureIndex];
+            var identities = entry.features.filter(function (identity) { return !!featuresByKey[getFeatureKey(identity)]; });
+            var features = identities.map(function (identity) { return featuresByKey[getFeatureKey(identity)]; });
+            var location = entry.location ? Point.fromJSON(entry.location) : features.length && getLabelPoint(features[0].geometry);
+            if (!this.view || !features.length || !location) {
+                return null;
+            }
+            var selectedFeatureIndex = Math.max(identities.indexOf(selected), 0);
+            var duplicate = this.allowDuplicates ? null : this._findDuplicate(features[selectedFeatureIndex]);
+            if (duplicate) {
+                duplicate.pop.selectedFeatureIndex = duplicate.index;
+                return duplicate.pop;
+            }
+            var pop = this._createPopup();
+            pop.number = entry.number;
+            pop.open({ features: features, location: location });
+            pop.set({
+                selectedFeatureIndex: selectedFeatureIndex,
+                dockEnabled: !!entry.dockEnabled,
+                collapsed: !!entry.collapsed,
+                offset: entry.offset || null,
+                pinned: !!entry.pinned
+            });
+            return this._addPopup(pop) ? pop : null;
+        };
+        FloatPopManager.prototype._addPopup = function (pop) {
+            var _this = this;
+            if (this.maxPops > 0 && !this._makeRoom(this.maxPops - 1)) {
+                this._destroyPopup(pop);
+                return false;
+            }
+            this.floatpops.add(pop);
+            this._popStates[pop.id] = { opened: ++this._popCounter, focused: this._popCounter };
+            this._handles.add([
+                // a pop closed by the user is not reopened, so drop it along with its number
+                watchUtils.watch(pop, "visible", function (visible) { return visible || _this._removePopup(pop); }),
+                watchUtils.watch(pop, "location", function () { return _this._updateNumberGraphics(pop); }),
+                watchUtils.watch(pop, ["features", "selectedFeatureIndex"], function () { return _this._updateHash(); }),
+                watchUtils.watch(pop, "selectedFeatureIndex", function () { return _this._emitPopEvent("pop-select", pop); }),
+                pop.on("trigger-pin", function () { return _this._emitPopEvent("pop-pin", pop); }),
+                on(pop.container, "pointerdown, focusin, mouseenter", function () { return _this.activePop = pop; }),
+                watchUtils.watch(pop, [
+                    "visible",
+                    "features",
+                    "selectedFeatureIndex",
+                    "collapsed",
+                    "expanded",
+                    "dockEnabled",
+                    "title",
+                    "content",
+                    "offset"
+                ], function () { return _this._scheduleLayout(); })
+            ], pop.id);
+            if (!this.autonumber) {
+                pop.number = null;
+            }
+            else if (this._isNumberAvailable(pop)) {
+                // keep a number the pop was restored with, the next numbers handed out follow it
+                this._lastNumber = Math.max(this._lastNumber, pop.number);
+                this._updateNumberGraphics(pop);
+            }
+            else {
+                this._assignNumber(pop);
+            }
+            this.activePop = pop;
+            this._updateHash();
+            this._emitPopEvent("pop-open", pop);
+            return true;
+        };
+        FloatPopManager.prototype._removePopup = function (pop) {
+            this._handles.remove(pop.id);
+            this.floatpops.remove(pop);
+            delete this._popStates[pop.id];
+            if (this.activePop === pop) {
+                this.activePop = null;
+            }
+            this._releaseNumber(pop);
+            this._updateHash();
+            this._emitPopEvent("pop-close", pop);
+            this._destroyPopup(pop);
+        };
+        FloatPopManager.prototype._destroyPopup = function (pop) {
+            delete this._popOptions[pop.id];
+            pop.clear();
+            pop.close();
+            pop.destroy();
+        };
+        FloatPopManager.prototype._makeRoom = function (limit) {
+            while (this.floatpops.length > limit) {
+                var pop = this._findEvictionCandidate();
+                if (!pop) {
+                    return false;
+                }
+                this._emitPopEvent("pop-evict", pop);
+                this._removePopup(pop);
+            }
+            return true;
+        };
+        FloatPopManager.prototype._findEvictionCandidate = function () {
+            var _this = this;
+            var evictionPolicy = this.evictionPolicy;
+            if (evictionPolicy === "refuse") {
+                return null;
+            }
+            var key = evictionPolicy === "least-recently-focused" ? "focused" : "opened";
+            return this.floatpops
+                .filter(function (pop) { return !pop.pinned; })
+                .toArray()
+                .sort(function (a, b) { return _this._popStates[a.id][key] - _this._popStates[b.id][key]; })[0] || null;
+        };
+        FloatPopManager.prototype._scheduleLayout = function () {
+            var _this = this;
+            if (this._layoutFrame || !this.layoutEnabled) {
+                return;
+            }
+            // wait for the pops to render so their boxes are measured at their new size
+            this._layoutFrame = requestAnimationFrame(function () {
+                _this._layoutFrame = 0;
+                _this._layout();
+            });
+        };
+        FloatPopManager.prototype._layout = function () {
+            var _a = this, view = _a.view, floatpops = _a.floatpops;
+            if (!view || !floatpops || !this.layoutEnabled) {
+                return;
+            }
+            var placed = [];
+            var movable = [];
+            // pops placed by the user stay where they are, the others move around them
+            floatpops.forEach(function (pop) {
+                var box = pop.offset ? pop.getAnchoredBox() : null;
+                if (box) {
+                    pop.displacement = null;
+                    placed.push(box);
+                }
+                else {
+                    movable.push(pop);
+                }
+            });
+            movable.forEach(function (pop) {
+                var box = pop.getAnchoredBox();
+                if (!box) {
+                    pop.displacement = null;
+                    return;
+                }
+                var shift = resolveOverlap(box, placed, view.width, view.height);
+                var current = pop.displacement;
+                placed.push({ x: box.x + shift.x, y: box.y + shift.y, width: box.width, height: box.height });
+                if (!shift.x && !shift.y) {
+                    pop.displacement = null;
+                }
+                else if (!current || current.x !== shift.x || current.y !== shift.y) {
+                    pop.displacement = shift;
+                }
+            });
+        };
+        FloatPopManager.prototype._setupKeyboard = function (container) {
+            var _this = this;
+            this._handles.remove("keyboard");
+            if (this._liveRegionNode) {
+                domConstruct.destroy(this._liveRegionNode);
+                this._liveRegionNode = null;
+            }
+            if (!container) {
+                return;
+            }
+            this._liveRegionNode = domConstruct.create("div", {
+                role: "status",
+                "aria-live": "polite",
+                "aria-atomic": "true",
+                style: LIVE_REGION_STYLE
+            }, container);
+            this._handles.add(on(container, "keydown", function (event) { return _this._keyDownHandler(event); }), "keyboard");
+        };
+        FloatPopManager.prototype._keyDownHandler = function (event) {
+            if (!this.enabled || !this.keyboardEnabled || !this.floatpops.length) {
+                return;
+            }
+            var shortcuts = this.keyboardShortcuts;
+            var command = Object.keys(shortcuts).filter(function (name) { return matchesShortcut(event, shortcuts[name]); })[0];
+            if (!command) {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            var pop = this.activePop;
+            switch (command) {
+                case "nextPop":
+                    this._focusSibling(1);
+                    break;
+                case "previousPop":
+                    this._focusSibling(-1);
+                    break;
+                // pops that can't be closed or pinned with their buttons can't be with the keyboard either
+                case "closePop":
+                    pop && pop.closeButtonEnabled && this._closeActivePopup();
+                    break;
+                case "pinPop":
+                    if (pop && pop.pinButtonEnabled) {
+                        pop.triggerPin();
+                        this._announce(pop.pinned ? this._messages.popPinned : this._messages.popUnpinned, { title: this._getPopLabel(pop) });
+                    }
+                    break;
+                case "nextFeature":
+                case "previousFeature":
+                    if (pop && pop.featureCount > 1) {
+                        command === "nextFeature" ? pop.next() : pop.previous();
+                        this._announce(this._messages.featureSelected, {
+                            index: pop.selectedFeatureIndex + 1,
+                            total: pop.featureCount
+                        });
+                    }
+                    break;
+            }
+        };
+        FloatPopManager.prototype._focusSibling = function (step) {
+            var pops = this.floatpops.toArray();
+            var index = pops.indexOf(this.activePop);
+            var nextIndex = index === -1 ?
+                (step > 0 ? 0 : pops.length - 1) :
+                (index + step + pops.length) % pops.length;
+            this._focusPopup(pops[nextIndex]);
+        };
+        FloatPopManager.prototype._focusPopup = function (pop) {
+            this.activePop = pop;
+            pop.collapsed = false;
+            pop.focus();
+            this._announce(this._messages.popFocused, {
+                index: this.floatpops.indexOf(pop) + 1,
+                total: this.floatpops.length,
+                title: this._getPopLabel(pop)
+            });
+        };
+        FloatPopManager.prototype._closeActivePopup = function () {
+            var pop = this.activePop;
+            var index = this.floatpops.indexOf(pop);
+            var title = this._getPopLabel(pop);
+            // remove it right away, the visible watch would only drop it from the list later on
+            this._removePopup(pop);
+            this._announce(this._messages.popClosed, { title: title });
+            var next = this.floatpops.getItemAt(Math.min(index, this.floatpops.length - 1));
+            next && this._focusPopup(next);
+        };
+        FloatPopManager.prototype._loadMessages = function (locale) {
+            var _this = this;
+            if (!locale) {
+                this._messages = i18n;
+                return;
+            }
+            require(["dojo/i18n!ec-widgets/FloatPopManager/nls/" + locale.toLowerCase() + "/FloatPopManager"], function (messages) {
+                // ignore the strings of a locale that was replaced while loading
+                if (_this.locale === locale) {
+                    _this._messages = messages;
+                }
+            });
+        };
+        FloatPopManager.prototype._getPopLabel = function (pop) {
+            return pop.title ? pop.title.replace(/<[^>]*>/g, "") : this._messages.untitled;
+        };
+        FloatPopManager.prototype._announce = function (template, data) {
+            var node = this._liveRegionNode;
+            if (!node) {
+                return;
+            }
+            // clear the region first, so repeating a message is announced again
+            node.textContent = "";
+            setTimeout(function () { return node.textContent = esriLang.substitute(data, template); }, 100);
+        };
+        FloatPopManager.prototype._emitPopEvent = function (type, pop) {
+            var event = {
+                pop: pop,
+                feature: pop.selectedFeature || null,
+                location: pop.location || null
+            };
+            this.emit(type, event);
+        };
+        FloatPopManager.prototype._restoreFromHash = function () {
+            var _this = this;
+            var value = readHashParam(HASH_KEY);
+            var entries = value ? decodeHashEntries(value) : [];
+            if (!entries.length) {
+                this._hashRestored = true;
+                return;
+            }
+            this.loadSession({ version: SESSION_VERSION, floatpops: entries })
+                .always(function () {
+                _this._hashRestored = true;
+                _this._updateHash();
+            });
+        };
+        FloatPopManager.prototype._updateHash = function () {
+            var _this = this;
+            // don't overwrite the hash before the pops it lists have been reopened
+            if (!this.hashSyncEnabled || !this._hashRestored) {
+                return;
+            }
+            var entries = this.floatpops.toArray()
+                .map(function (pop) { return _this._serializePopup(pop); })
+                .filter(function (entry) { return !!entry; });
+            writeHashParam(HASH_KEY, encodeHashEntries(entries));
+        };
+        FloatPopManager.prototype._assignNumber = function (pop) {
+            pop.number = this._nextNumber();
+            this._updateNumberGraphics(pop);
+        };
+        FloatPopManager.prototype._isNumberAvailable = function (pop) {
+            var number = pop.number;
+            return number != null && !this.floatpops.some(function (item) { return item !== pop && item.number === number; });
+        };
+        FloatPopManager.prototype._nextNumber = function () {
+            if (this.numberingPolicy === "increment") {
+                return ++this._lastNumber;
+            }
+            var numbers = this.floatpops.map(function (pop) { return pop.number; }).toArray();
+            var number = 1;
+            while (numbers.indexOf(number) !== -1) {
+                number++;
+            }
+            return number;
+        };
+        FloatPopManager.prototype._releaseNumber = function (pop) {
+            if (pop.number == null) {
+                return;
+            }
+            pop.number = null;
+            this._removeNumberGraphics(pop);
+            if (this.numberingPolicy === "compact") {
+                this._compactNumbers();
+            }
+            if (!this.floatpops.some(function (item) { return item.number != null; })) {
+                this._lastNumber = 0;
+            }
+        };
+        FloatPopManager.prototype._compactNumbers = function () {
+            var _this = this;
+            this.floatpops
+                .filter(function (pop) { return pop.number != null; })
+                .toArray()
+                .sort(function (a, b) { return a.number - b.number; })
+                .forEach(function (pop, index) {
+                if (pop.number !== index + 1) {
+                    pop.number = index + 1;
+                    _this._updateNumberGraphics(pop);
+                }
+            });
+        };
+        FloatPopManager.prototype._updateNumbers = function () {
+            var _this = this;
+            var pops = this.floatpops;
+            if (!pops) {
+                return;
+            }
+            if (this.autonumber) {
+                pops.forEach(function (pop) { return pop.number == null && _this._assignNumber(pop); });
+                return;
+            }
+            this._clearNumbers();
+        };
+        FloatPopManager.prototype._clearNumbers = function () {
+            var _this = this;
+            this.floatpops && this.floatpops.forEach(function (pop) {
+                pop.number = null;
+                _this._removeNumberGraphics(pop);
+            });
+            this._lastNumber = 0;
+        };
+        FloatPopManager.prototype._updateNumberGraphics = function (pop) {
+            this._removeNumberGraphics(pop);
+            var view = this.view;
+            var number = pop.number, location = pop.location;
+            if (!view || number == null || !location) {
+                return;
+            }
+            var graphics = this._createNumberGraphics(number, location, "3d" === view.type);
+            this._numberGraphics[pop.id] = graphics;
+            view.graphics.addMany(graphics);
+        };
+        FloatPopManager.prototype._removeNumberGraphics = function (pop) {
+            var graphics = this._numberGraphics[pop.id];
+            if (!graphics) {
+                return;
+            }
+            delete this._numberGraphics[pop.id];
+            this.view && this.view.graphics.removeMany(graphics);
+        };
+        FloatPopManager.prototype._createNumberGraphics = function (number, location, is3d) {
+            var text = "" + number;
+            if (is3d) {
+                return [
+                    new Graphic({
+                        geometry: location,
+                        symbol: new PointSymbol3D({
+                            symbolLayers: [
+                                new IconSymbol3DLayer({
+                                    size: NUMBER_MARKER_SIZE,
+                                    resource: { primitive: "circle" },
+                                    material: { color: NUMBER_MARKER_COLOR },
+                                    outline: { color: "white", size: 1 }
+                                }),
+                                new TextSymbol3DLayer({
+                                    text: text,
+                                    size: 10,
+                                    material: { color: "white" }
+                                })
+                            ]
+                        })
+                    })
+                ];
+            }
+            return [
+                new Graphic({
+                    geometry: location,
+                    symbol: new SimpleMarkerSymbol({
+                        style: "circle",
+                        size: NUMBER_MARKER_SIZE,
+                        color: NUMBER_MARKER_COLOR,
+                        outline: { color: "white", width: 1 }
+                    })
+                }),
+                new Graphic({
+                    geometry: location,
+                    symbol: new TextSymbol({
+                        text: text,
+                        color: "white",
+                        horizontalAlignment: "center",
+                        verticalAlignment: "middle",
+                        font: { size: 10, weight: "bold" }
+                    })
+                })
+            ];
+        };
+        FloatPopManager.prototype._fetchSceneAttributes = function (layer, graphics) {
+            return floatPopUtils.fetchSceneAttributes(this.view, layer, graphics);
+        };
+        /**
+         * The click tolerance of layers in pixels, from the largest symbol their renderers can draw,
+         * clamped to `minClickTolerance` and `maxClickTolerance`.
+         */
+        FloatPopManager.prototype._calculateClickTolerance = function (layers) {
+            var tolerance = layers.reduce(function (max, layer) {
+                return layer.renderer ? Math.max(max, getRendererTolerance(layer.renderer)) : max;
+            }, 0);
+            return Math.min(Math.max(tolerance, this.minClickTolerance), this.maxClickTolerance);
+        };
+        FloatPopManager.prototype._gestureHandler = function (event) {
+            var gesture = getGesture(event);
+            var _a = this.trigger, open = _a.open, replace = _a.replace;
+            // while enabled the view popup is replaced by the pops, don't let it fetch features on click
+            if (event.type === "click") {
+                event.stopPropagation();
+            }
+            if (!gesture || (gesture !== replace && gesture !== open)) {
+                return;
+            }
+            // the gesture is ours, e.g. a double-click must not zoom the view as well
+            event.stopPropagation();
+            if (gesture === replace) {
+                this.closeUnpinned();
+            }
+            this._clickHandler(event);
         };
         FloatPopManager.prototype._clickHandler = function (b) {
             function a(a) { return f.allLayerViews.find(function (b) { return b.layer === a; }); }
             var f = this.view, g = b.screenPoint, l = this;
-            if (0 === b.button && f.popup && f.ready) {
-                var h = "3d" === f.type, y = f.map.allLayers.some(function (b) {
-                    if (b.isInstanceOf(GroupLayer)) {
-                        return false;
-                    }
+            if (f.popup && f.ready) {
+                var h = "3d" === f.type, y = arrayUtil.some(floatPopUtils.collectLayers(f.map.layers), function (b) {
                     var d;
                     null == b ?
                         d = false :
                         (d = a(b),
                             d = null == d ? false :
-                                b.loaded && !d.suspended && (b.popupEnabled && b.popupTemplate || "graphics" === b.type || d.getPopupData));
+                                b.loaded && !d.suspended && (b.popupTemplate || "graphics" === b.type || d.getPopupData) &&
+                                    l._isLayerEnabled(b));
                     d && !(d = !h) && (d = (b = a(b)) && b.hasDraped);
                     return d ? true : false;
                 });
@@ -249,13 +1785,100 @@ define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core
         ], FloatPopManager.prototype, "map", null);
         __decorate([
             decorators_1.property()
-        ], FloatPopManager.prototype, "options", void 0);
+        ], FloatPopManager.prototype, "options", null);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "trigger", null);
         __decorate([
             decorators_1.property()
         ], FloatPopManager.prototype, "floatpops", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "keyboardEnabled", void 0);
+        __decorate([
+            decorators_1.property({
+                value: null
+            })
+        ], FloatPopManager.prototype, "locale", null);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "keyboardShortcuts", null);
+        __decorate([
+            decorators_1.property({
+                value: null
+            })
+        ], FloatPopManager.prototype, "activePop", null);
         __decorate([
             decorators_1.property()
         ], FloatPopManager.prototype, "autoclose", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "allowDuplicates", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "hoverEnabled", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "includeLayers", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "excludeLayers", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "layerFloatPopEnabled", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "layerFilter", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "graphicFilter", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "hoverThrottle", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "ranking", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "layerPriority", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "maxFeatures", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "maxFeaturesPerLayer", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "minClickTolerance", void 0);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "maxClickTolerance", void 0);
+        __decorate([
+            decorators_1.property({
+                value: false
+            })
+        ], FloatPopManager.prototype, "autonumber", null);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "numberingPolicy", void 0);
+        __decorate([
+            decorators_1.property({
+                value: 0
+            })
+        ], FloatPopManager.prototype, "maxPops", null);
+        __decorate([
+            decorators_1.property()
+        ], FloatPopManager.prototype, "evictionPolicy", void 0);
+        __decorate([
+            decorators_1.property({
+                value: true
+            })
+        ], FloatPopManager.prototype, "layoutEnabled", null);
+        __decorate([
+            decorators_1.property({
+                value: false
+            })
+        ], FloatPopManager.prototype, "hashSyncEnabled", null);
         __decorate([
             decorators_1.property()
         ], FloatPopManager.prototype, "layer", void 0);
@@ -266,7 +1889,7 @@ define(["require", "exports", "esri/core/accessorSupport/decorators", "esri/core
             decorators_1.subclass("esri.widgets.custom.FloatPopManager")
         ], FloatPopManager);
         return FloatPopManager;
-    }(decorators_1.declared(Accessor)));
+    }(decorators_1.declared(Accessor, Evented)));
     return FloatPopManager;
 });
 //# sourceMappingURL=FloatPopManager.js.map
\ No newline at end of file
@@ -5,7 +5,10 @@ import {
   subclass
 } from "esri/core/accessorSupport/decorators";
 
+import esriLang = require("esri/core/lang");
 import promiseUtils = require("esri/core/promiseUtils");
+import HandleRegistry = require("esri/core/HandleRegistry");
+import watchUtils = require("esri/core/watchUtils");
 import arrayUtil = require("dojo/_base/array");
 import on = require("dojo/on");
 import domConstruct = require("dojo/dom-construct");
@@ -15,43 +18,648 @@ import all = require("dojo/promise/all");
 import layerUtils = require("esri/layers/support/layerUtils");
 import scaleUtils = require("esri/geometry/support/scaleUtils");
 import Extent = require("esri/geometry/Extent");
+import Point = require("esri/geometry/Point");
+import Polygon = require("esri/geometry/Polygon");
+import Polyline = require("esri/geometry/Polyline");
+import ScreenPoint = require("esri/geometry/ScreenPoint");
+import geometryEngine = require("esri/geometry/geometryEngine");
 import Query = require("esri/tasks/support/Query");
-import GroupLayer = require("esri/layers/GroupLayer");
 import Layer = require("esri/layers/Layer");
 
 import Graphic = require("esri/Graphic");
+import SimpleMarkerSymbol = require("esri/symbols/SimpleMarkerSymbol");
+import TextSymbol = require("esri/symbols/TextSymbol");
+import PointSymbol3D = require("esri/symbols/PointSymbol3D");
+import IconSymbol3DLayer = require("esri/symbols/IconSymbol3DLayer");
+import TextSymbol3DLayer = require("esri/symbols/TextSymbol3DLayer");
 
 import Accessor = require("esri/core/Accessor");
+import Evented = require("esri/core/Evented");
 import Collection = require("esri/core/Collection");
 import EsriMap = require("esri/Map");
 import MapView = require("esri/views/MapView");
 import SceneView = require("esri/views/SceneView");
 
+import i18n = require("dojo/i18n!ec-widgets/FloatPopManager/nls/FloatPopManager");
+
 import FloatPop = require("ec-widgets/FloatPop");
+import floatPopUtils = require("ec-widgets/support/floatPopUtils");
 
 type FloatPopShape = "circle" | "normal";
 
+/**
+ * How numbers are handed out when `autonumber` is on.
+ *
+ * - reuse: a new pop takes the smallest number not in use.
+ * - compact: like reuse, but closing a pop renumbers the remaining ones to 1..n.
+ * - increment: numbers keep growing and are only reset once every numbered pop is closed.
+ */
+type FloatPopNumberingPolicy = "reuse" | "compact" | "increment";
+
+/**
+ * The order of the features found by a click.
+ *
+ * - none: layer by layer, in the order of the map.
+ * - distance: nearest to the click first.
+ * - layer-priority: by `layerPriority`, nearest to the click first within a layer.
+ *
+ * A function compares two features, like an `Array.sort` comparator, and also gets the
+ * location of the click.
+ */
+type FloatPopRanking = "none" | "distance" | "layer-priority" | ((a: Graphic, b: Graphic, location: Point) => number);
+
+/**
+ * Which pop makes room for a new one once `maxPops` is reached. Pinned pops are never evicted,
+ * so new pops are refused when all the open ones are pinned.
+ *
+ * - oldest: the pop opened first.
+ * - least-recently-focused: the pop that was last the `activePop` longest ago.
+ * - refuse: no pop is evicted and the new pop isn't opened.
+ */
+type FloatPopEvictionPolicy = "oldest" | "least-recently-focused" | "refuse";
+
+interface FloatPopButtonOptions {
+  close?: boolean;
+  dock?: boolean;
+  pin?: boolean;
+  pagination?: boolean;
+  featureMenu?: boolean;
+}
+
 interface FloatPopOption {
-  shape: FloatPopShape;
-  showButton: boolean;
+  shape?: FloatPopShape;
+  // hides every header button when false, regardless of `buttons`
+  showButton?: boolean;
+  buttons?: FloatPopButtonOptions;
+  circleLabelField?: string;
+}
+
+interface FloatPopShowAllOptions {
+  query?: Query;
+  where?: string;
+  max?: number;
+}
+
+/**
+ * A view gesture. `click` is a left click without modifier keys, `ctrl-click` also matches
+ * the command key.
+ */
+type FloatPopGesture = "click" | "double-click" | "ctrl-click" | "shift-click" | "right-click";
+
+/**
+ * The gestures that open pops. `open` adds a pop, `replace` closes the pops that aren't
+ * pinned and opens one instead. A gesture set to `none` is disabled, when both are the
+ * pops are only opened from code.
+ */
+interface FloatPopTrigger {
+  open?: FloatPopGesture | "none";
+  replace?: FloatPopGesture | "none";
+}
+
+/**
+ * Keyboard shortcuts of the manager, written as `Modifier+Key` where the key is a
+ * `KeyboardEvent.key` value, e.g. `Alt+PageDown`. A shortcut set to `null` is disabled.
+ */
+interface FloatPopShortcuts {
+  nextPop?: string;
+  previousPop?: string;
+  closePop?: string;
+  pinPop?: string;
+  nextFeature?: string;
+  previousFeature?: string;
+}
+
+interface FloatPopOpenOptions {
+  location?: Point;
+  features?: Graphic[];
+  promises?: IPromise<Graphic[]>[];
+  title?: string;
+  content?: any;
+  options?: FloatPopOption;
+}
+
+interface FloatPopState {
+  opened: number;
+  focused: number;
+}
+
+interface FloatPopFeatureIdentity {
+  layerId: string;
+  objectId: number;
+}
+
+interface FloatPopSessionEntry {
+  location: any;
+  features: FloatPopFeatureIdentity[];
+  selectedFeatureIndex: number;
+  dockEnabled: boolean;
+  collapsed: boolean;
+  number: number;
+  offset?: { x: number; y: number };
+  pinned?: boolean;
+}
+
+interface FloatPopSession {
+  version: number;
+  floatpops: FloatPopSessionEntry[];
+}
+
+const SESSION_VERSION = 1;
+
+const HASH_KEY = "floatpops";
+
+const DEFAULT_OPTIONS: FloatPopOption = {
+  shape: "normal",
+  showButton: true,
+  buttons: {
+    close: true,
+    dock: true,
+    pin: true,
+    pagination: true,
+    featureMenu: true
+  },
+  circleLabelField: null
+};
+
+const DEFAULT_TRIGGER: FloatPopTrigger = {
+  open: "click",
+  replace: "none"
+};
+
+const DEFAULT_SHORTCUTS: FloatPopShortcuts = {
+  nextPop: "Alt+PageDown",
+  previousPop: "Alt+PageUp",
+  closePop: "Alt+Delete",
+  pinPop: "Alt+P",
+  nextFeature: "Alt+.",
+  previousFeature: "Alt+,"
+};
+
+const KEY_CODES: HashMap<string> = {
+  ".": "Period",
+  ",": "Comma"
+};
+
+const LIVE_REGION_STYLE = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap"
+};
+
+interface LayoutBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+const LAYOUT_GAP = 8;
+
+const LAYOUT_MAX_ITERATIONS = 20;
+
+const NUMBER_MARKER_COLOR = "#3a92e7";
+
+const NUMBER_MARKER_SIZE = 20;
+
+const PT_TO_PX = 4 / 3;
+
+/**
+ * Identifies a feature by its layer id and object id, `null` for features that can't be
+ * queried again, e.g. graphics in the view.
+ */
+function getFeatureIdentity(feature: Graphic): FloatPopFeatureIdentity {
+  const layer: any = feature && feature.layer;
+  const objectIdField = layer && layer.objectIdField;
+  const objectId = objectIdField && feature.attributes ? feature.attributes[objectIdField] : null;
+
+  return objectId != null ? { layerId: layer.id, objectId } : null;
+}
+
+function getFeatureKey(identity: FloatPopFeatureIdentity): string {
+  return `${identity.layerId}/${identity.objectId}`;
+}
+
+function getSymbolTolerance(symbol: any): number {
+  if (!symbol) {
+    return 0;
+  }
+
+  const size = symbol.symbolLayers ?
+    Math.max(0, ...symbol.symbolLayers.toArray()
+      .filter((symbolLayer: any) => symbolLayer.type === "icon")
+      .map((symbolLayer: any) => symbolLayer.size || 0)) :
+    Math.max(symbol.size || 0, symbol.width || 0, symbol.height || 0);
+  const offset = Math.max(Math.abs(symbol.xoffset || 0), Math.abs(symbol.yoffset || 0));
+
+  return (size / 2 + offset) * PT_TO_PX;
+}
+
+function getMaxSize(visualVariable: any): number {
+  const sizes: any[] = [visualVariable.minSize, visualVariable.maxSize]
+    .concat((visualVariable.stops || []).map((stop: any) => stop.size));
+
+  // a size can itself vary by scale, as `{ type: "size", stops: [...] }`
+  return Math.max(0, ...sizes.map((size) => {
+    return "number" === typeof size ? size : size && size.stops ? getMaxSize(size) : 0;
+  }));
+}
+
+/**
+ * The pixel distance from the location of a feature to the edge of the largest symbol the
+ * renderer can draw, including symbol offsets and size visual variables.
+ */
+function getRendererTolerance(renderer: any): number {
+  const infos: any[] = renderer.uniqueValueInfos || renderer.classBreakInfos || [];
+  const symbols = [renderer.symbol, renderer.defaultSymbol].concat(infos.map((info) => info.symbol));
+  const visualVariables: any[] = renderer.visualVariables || [];
+
+  return Math.max(
+    0,
+    ...symbols.map((symbol) => getSymbolTolerance(symbol)),
+    ...visualVariables
+      .filter((visualVariable) => visualVariable.type === "size")
+      .map((visualVariable) => getMaxSize(visualVariable) / 2 * PT_TO_PX)
+  );
+}
+
+function mergeOptions(base: FloatPopOption, value: FloatPopOption): FloatPopOption {
+  return {
+    ...base,
+    ...value,
+    buttons: {
+      ...base.buttons,
+      ...(value && value.buttons)
+    }
+  };
+}
+
+function getGesture(event: any): FloatPopGesture {
+  const native = event.native || {};
+
+  if (event.type === "double-click") {
+    return "double-click";
+  }
+
+  if (event.button === 2) {
+    return "right-click";
+  }
+
+  if (event.button !== 0 || native.altKey) {
+    return null;
+  }
+
+  return native.ctrlKey || native.metaKey ? "ctrl-click" : native.shiftKey ? "shift-click" : "click";
+}
+
+/**
+ * Tells whether a key press matches a shortcut. Letters, digits and punctuation are also
+ * matched by their physical key, since modifiers such as `Alt` change the typed character on
+ * some platforms.
+ */
+function matchesShortcut(event: KeyboardEvent, shortcut: string): boolean {
+  if (!shortcut) {
+    return false;
+  }
+
+  const parts = shortcut.split("+");
+  const key = parts.pop() || "+";
+  const modifiers = parts.map((part) => part.toLowerCase());
+
+  if (
+    event.altKey !== modifiers.indexOf("alt") > -1 ||
+    event.ctrlKey !== modifiers.indexOf("ctrl") > -1 ||
+    event.shiftKey !== modifiers.indexOf("shift") > -1 ||
+    event.metaKey !== modifiers.indexOf("meta") > -1
+  ) {
+    return false;
+  }
+
+  if (event.key && event.key.toLowerCase() === key.toLowerCase()) {
+    return true;
+  }
+
+  const code = KEY_CODES[key] ||
+    (/^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : /^[0-9]$/.test(key) ? `Digit${key}` : null);
+
+  return !!code && event.code === code;
+}
+
+function isSameFeature(a: Graphic, b: Graphic): boolean {
+  if (a === b) {
+    return true;
+  }
+
+  const identityA = getFeatureIdentity(a);
+  const identityB = getFeatureIdentity(b);
+
+  return !!identityA && !!identityB && getFeatureKey(identityA) === getFeatureKey(identityB);
+}
+
+/**
+ * The distance between a feature and a location, `0` when the location is inside the feature.
+ * Features in another spatial reference are measured from their label point when possible.
+ */
+function getFeatureDistance(feature: Graphic, location: Point): number {
+  const geometry = feature.geometry;
+
+  if (!geometry || !location) {
+    return Infinity;
+  }
+
+  if (geometry.spatialReference && geometry.spatialReference.equals(location.spatialReference)) {
+    return geometryEngine.distance(geometry, location, null);
+  }
+
+  const point = getLabelPoint(geometry);
+
+  return point && point.spatialReference && point.spatialReference.equals(location.spatialReference) ?
+    Math.sqrt(Math.pow(point.x - location.x, 2) + Math.pow(point.y - location.y, 2)) :
+    Infinity;
+}
+
+/**
+ * Sorts without changing the order of features that compare equal.
+ */
+function stableSort(features: Graphic[], compare: (a: Graphic, b: Graphic) => number): Graphic[] {
+  return features
+    .map((feature, index) => ({ feature, index }))
+    .sort((a, b) => compare(a.feature, b.feature) || a.index - b.index)
+    .map((item) => item.feature);
+}
+
+function getResultFeatures(results: __esri.EachAlwaysResult[]): Graphic[] {
+  return results.reduce((all, result) => all.concat(result.value || []), []);
+}
+
+function indexOfFeature(features: Graphic[], key: string): number {
+  for (let i = 0; i < features.length; i++) {
+    const identity = getFeatureIdentity(features[i]);
+
+    if (identity && getFeatureKey(identity) === key) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Encodes pops as `layerId:objectId,layerId:objectId@selectedIndex;...`. Layer ids are URI
+ * encoded, so the separators can't appear inside them.
+ */
+function encodeHashEntries(entries: FloatPopSessionEntry[]): string {
+  return entries.map((entry) => {
+    const features = entry.features
+      .map(({ layerId, objectId }) => `${encodeURIComponent(layerId)}:${objectId}`)
+      .join(",");
+
+    return entry.selectedFeatureIndex ? `${features}@${entry.selectedFeatureIndex}` : features;
+  }).join(";");
+}
+
+function decodeHashEntries(value: string): FloatPopSessionEntry[] {
+  return value.split(";").map((part) => {
+    const [featuresPart, indexPart] = part.split("@");
+    const features = featuresPart.split(",").map((feature) => {
+      const [layerId, objectId] = feature.split(":");
+      return { layerId: decodeURIComponent(layerId), objectId: Number(objectId) };
+    }).filter(({ layerId, objectId }) => !!layerId && !isNaN(objectId));
+
+    return {
+      location: null,
+      features,
+      selectedFeatureIndex: parseInt(indexPart, 10) || 0,
+      dockEnabled: false,
+      collapsed: false,
+      number: null
+    };
+  }).filter((entry) => entry.features.length > 0);
+}
+
+function isFeatureIdentity(identity: any): boolean {
+  return !!identity &&
+    ("string" === typeof identity.layerId || "number" === typeof identity.layerId) && identity.layerId !== "" &&
+    "number" === typeof identity.objectId && !isNaN(identity.objectId);
+}
+
+/**
+ * Returns the entries of a session document that can be restored, keeping only the features
+ * identified by a layer id and an object id. Entries left without features are dropped.
+ */
+function getSessionEntries(document: any): FloatPopSessionEntry[] {
+  const entries: any[] = document && Array.isArray(document.floatpops) ? document.floatpops : [];
+
+  return entries
+    .filter((entry) => !!entry && Array.isArray(entry.features))
+    .map((entry: FloatPopSessionEntry) => {
+      const selected = entry.features[entry.selectedFeatureIndex];
+      const features = entry.features.filter(isFeatureIdentity);
+
+      return {
+        ...entry,
+        features,
+        selectedFeatureIndex: Math.max(features.indexOf(selected), 0),
+        number: "number" === typeof entry.number ? entry.number : null
+      };
+    })
+    .filter((entry) => entry.features.length > 0);
+}
+
+function readHashParam(key: string): string {
+  const params = window.location.hash.replace(/^#/, "").split("&");
+
+  for (const param of params) {
+    const index = param.indexOf("=");
+
+    if (index !== -1 && param.slice(0, index) === key) {
+      return param.slice(index + 1);
+    }
+  }
+
+  return null;
+}
+
+function writeHashParam(key: string, value: string): void {
+  const params = window.location.hash.replace(/^#/, "").split("&")
+    .filter((param) => !!param && param.split("=")[0] !== key);
+
+  if (value) {
+    params.push(`${key}=${value}`);
+  }
+
+  const hash = params.length ? `#${params.join("&")}` : "";
+  const url = window.location.href.replace(/#.*$/, "") + hash;
+
+  // replacing the state keeps history clean and doesn't fire hashchange
+  window.history.replaceState(window.history.state, document.title, url);
+}
+
+function intersects(a: LayoutBox, b: LayoutBox): boolean {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Moves `box` out of the `placed` boxes one collision at a time, taking the shortest move that
+ * keeps it inside the view, and returns the total shift in pixels.
+ */
+function resolveOverlap(box: LayoutBox, placed: LayoutBox[], viewWidth: number, viewHeight: number): { x: number; y: number } {
+  const shift = { x: 0, y: 0 };
+
+  for (let i = 0; i < LAYOUT_MAX_ITERATIONS; i++) {
+    const current = { x: box.x + shift.x, y: box.y + shift.y, width: box.width, height: box.height };
+    const hit = placed.filter((other) => intersects(current, other))[0];
+
+    if (!hit) {
+      break;
+    }
+
+    const moves = [
+      { x: 0, y: hit.y - (current.y + current.height) - LAYOUT_GAP },
+      { x: 0, y: hit.y + hit.height - current.y + LAYOUT_GAP },
+      { x: hit.x - (current.x + current.width) - LAYOUT_GAP, y: 0 },
+      { x: hit.x + hit.width - current.x + LAYOUT_GAP, y: 0 }
+    ];
+
+    const inView = moves.filter((move) => {
+      const x = current.x + move.x;
+      const y = current.y + move.y;
+      return x >= 0 && y >= 0 && x + current.width <= viewWidth && y + current.height <= viewHeight;
+    });
+
+    // when nothing fits, moving up is the least surprising for pops that sit above their anchor
+    const move = (inView.length ? inView : moves.slice(0, 1))
+      .sort((a, b) => (Math.abs(a.x) + Math.abs(a.y)) - (Math.abs(b.x) + Math.abs(b.y)))[0];
+
+    shift.x += move.x;
+    shift.y += move.y;
+  }
+
+  return shift;
+}
+
+function getPolylineMidpoint(polyline: Polyline): Point {
+  const segments: number[][][] = [];
+  let total = 0;
+
+  polyline.paths.forEach((path) => {
+    for (let i = 1; i < path.length; i++) {
+      segments.push([path[i - 1], path[i]]);
+      total += Math.sqrt(Math.pow(path[i][0] - path[i - 1][0], 2) + Math.pow(path[i][1] - path[i - 1][1], 2));
+    }
+  });
+
+  if (!segments.length) {
+    return polyline.paths.length && polyline.paths[0].length ? polyline.getPoint(0, 0) : null;
+  }
+
+  let remaining = total / 2;
+
+  for (const [start, end] of segments) {
+    const length = Math.sqrt(Math.pow(end[0] - start[0], 2) + Math.pow(end[1] - start[1], 2));
+
+    if (remaining <= length) {
+      const ratio = length ? remaining / length : 0;
+
+      return new Point({
+        x: start[0] + (end[0] - start[0]) * ratio,
+        y: start[1] + (end[1] - start[1]) * ratio,
+        z: polyline.hasZ ? start[2] + (end[2] - start[2]) * ratio : undefined,
+        spatialReference: polyline.spatialReference
+      });
+    }
+
+    remaining -= length;
+  }
+
+  const [, last] = segments[segments.length - 1];
+
+  return new Point({
+    x: last[0],
+    y: last[1],
+    z: polyline.hasZ ? last[2] : undefined,
+    spatialReference: polyline.spatialReference
+  });
+}
+
+function getLabelPoint(geometry: any): Point {
+  if (!geometry) {
+    return null;
+  }
+
+  switch (geometry.type) {
+    case "point":
+      return geometry;
+    case "polygon":
+      return (geometry as Polygon).centroid;
+    case "polyline":
+      return getPolylineMidpoint(geometry);
+    case "multipoint":
+      return geometry.points.length ? geometry.getPoint(0) : null;
+    default:
+      return geometry.extent ? geometry.extent.center : null;
+  }
+}
+
+/**
+ * Fires when the manager opens a pop, closes one, a pop selects another feature, or the pin of
+ * a pop is triggered. The event is `pop-open`, `pop-close`, `pop-select` or `pop-pin`.
+ * A pop opened from pending promises fires `pop-select` once its features arrive.
+ * `pop-evict` fires before a pop is closed to respect `maxPops`.
+ *
+ * @property {FloatPop} pop - The pop.
+ * @property {module:esri/Graphic} feature - The selected feature of the pop, if any.
+ * @property {module:esri/geometry/Point} location - The location of the pop.
+ */
+interface FloatPopEvent {
+  pop: FloatPop;
+  feature: Graphic;
+  location: Point;
 }
 
+interface FloatPopManager extends Evented { }
+
 @subclass("esri.widgets.custom.FloatPopManager")
-class FloatPopManager extends declared(Accessor) {
+class FloatPopManager extends declared(Accessor, Evented) {
 
   constructor(params?: any) {
     super();
 
     this._featureLayersCache = {};
+    this._handles = new HandleRegistry();
+    this._numberGraphics = {};
+    this._popStates = {};
+    this._popOptions = {};
     this.floatpops = new Collection<FloatPop>();
-    this.options = {
-      shape: "normal",
-      showButton: true,
-    };
+  }
+
+  initialize() {
+    this._handles.add([
+      watchUtils.watch(this, "view.extent", () => this._scheduleLayout()),
+      watchUtils.on(this, "floatpops", "change", () => this._scheduleLayout())
+    ], "layout");
+
+    this._handles.add([
+      watchUtils.init(this, "view.container", (container: HTMLElement) => this._setupKeyboard(container)),
+      watchUtils.init(this, ["view", "hoverEnabled"], () => this._setupHover()),
+      watchUtils.init(this, ["view.popup", "enabled"], () => this._suppressViewPopup())
+    ]);
   }
 
   destroy() {
+    if (this._layoutFrame) {
+      cancelAnimationFrame(this._layoutFrame);
+      this._layoutFrame = 0;
+    }
+
     this._featureLayersCache = {};
+    this._setupKeyboard(null);
+    this._cancelHover();
+    this._handles.destroy();
+    this._handles = null;
+    this._clearNumbers();
     this.view = null;
   }
 
@@ -71,7 +679,7 @@ class FloatPopManager extends declared(Accessor) {
     }
 
     if (value) {
-      this._clickHandle = on.pausable(value, "click", this._clickHandler.bind(this));
+      this._clickHandle = on.pausable(value, "click, double-click", this._gestureHandler.bind(this));
       this.enabled || this._clickHandle.pause();
     }
 
@@ -82,103 +690,530 @@ class FloatPopManager extends declared(Accessor) {
     dependsOn: ["view.map"],
     readOnly: true
   })
-  get map() {
-    return this.get("view.map") || null;
+  get map(): EsriMap {
+    return this.get<EsriMap>("view.map") || null;
   }
 
+  /**
+   * Options applied to every FloatPop created by the manager. Unset values fall back to the
+   * defaults, changing the options updates the pops that are already open.
+   */
   @property()
-  options: FloatPopOption = null;
+  get options(): FloatPopOption {
+    return this._get<FloatPopOption>("options") || DEFAULT_OPTIONS;
+  }
+  set options(value: FloatPopOption) {
+    this._set("options", mergeOptions(DEFAULT_OPTIONS, value));
+    this.floatpops && this.floatpops.forEach((pop) => this._applyOptions(pop));
+  }
+
+  /**
+   * The gestures that open pops, see `FloatPopTrigger`. A gesture name sets the `open` gesture,
+   * `programmatic` disables both gestures. Unset values fall back to opening pops on click.
+   * Whatever it's set to, it reads back as a `FloatPopTrigger`.
+   */
+  @property()
+  get trigger(): FloatPopTrigger | FloatPopGesture | "programmatic" {
+    return this._get<FloatPopTrigger>("trigger") || DEFAULT_TRIGGER;
+  }
+  set trigger(value: FloatPopTrigger | FloatPopGesture | "programmatic") {
+    const trigger: FloatPopTrigger = "string" === typeof value ?
+      (value === "programmatic" ? { open: "none", replace: "none" } : { open: value as FloatPopGesture }) :
+      value;
+
+    this._set("trigger", {
+      ...DEFAULT_TRIGGER,
+      ...trigger
+    });
+  }
 
   @property()
   floatpops: Collection<FloatPop> = null;
 
+  /**
+   * When `true`, the `keyboardShortcuts` work while the focus is in the view or one of its pops.
+   */
+  @property()
+  keyboardEnabled: boolean = true;
+
+  /**
+   * The locale of the strings of the manager and its pops, such as `en` or `zh-cn`. When not
+   * set, the locale of the page is used. Changing it re-renders the open pops and their lists.
+   */
+  @property({
+    value: null
+  })
+  set locale(value: string) {
+    this._set("locale", value);
+    this._loadMessages(value);
+    this.floatpops && this.floatpops.forEach((pop) => pop.locale = value);
+  }
+
+  /**
+   * Shortcuts to move between pops, close or pin the active pop and page through its features.
+   * Unset shortcuts fall back to the defaults.
+   */
+  @property()
+  get keyboardShortcuts(): FloatPopShortcuts {
+    return this._get<FloatPopShortcuts>("keyboardShortcuts") || DEFAULT_SHORTCUTS;
+  }
+  set keyboardShortcuts(value: FloatPopShortcuts) {
+    this._set("keyboardShortcuts", {
+      ...DEFAULT_SHORTCUTS,
+      ...value
+    });
+  }
+
+  /**
+   * The pop the user is working with, shown on top of the others and marked as active.
+   * Clicking, focusing or hovering a pop activates it, so does setting this property.
+   */
+  @property({
+    value: null
+  })
+  set activePop(value: FloatPop) {
+    if (value && !this.floatpops.includes(value)) {
+      return;
+    }
+
+    const previous = this._get<FloatPop>("activePop");
+
+    if (previous && previous !== value) {
+      previous.active = false;
+    }
+
+    this._set("activePop", value);
+
+    if (value) {
+      value.active = true;
+      this._bringToFront(value);
+    }
+  }
+
   @property()
   autoclose: boolean = false;
 
+  /**
+   * When `false`, clicking a feature that an open pop already shows doesn't open another pop:
+   * the existing one is brought to front, flashed and selects the feature. A click on a graphic
+   * is checked right away and the new pop opens while its features load; only a click that hits
+   * no graphic, or a manager that ranks features, waits for the queries to resolve.
+   */
   @property()
-  autonumber: boolean = false;
+  allowDuplicates: boolean = false;
 
+  /**
+   * When `true`, hovering a feature shows a transient preview pop and clicking promotes the
+   * preview to a real pop. The preview is updated at most once per `hoverThrottle` milliseconds.
+   */
   @property()
-  layer: Layer = null;
+  hoverEnabled: boolean = false;
 
+  /**
+   * Layers, or their ids, that can produce pops. When set, other layers are ignored. A group
+   * layer includes the layers it contains.
+   */
   @property()
-  features: Collection<Graphic> = null;
+  includeLayers: (Layer | string)[] = null;
 
-  private _featureLayersCache: any = null;
+  /**
+   * Layers, or their ids, that never produce pops. A group layer excludes the layers it
+   * contains.
+   */
+  @property()
+  excludeLayers: (Layer | string)[] = null;
 
-  private _clickHandle: any = null;
+  /**
+   * Per-layer opt-in or opt-out by layer id, e.g. `{ roads: false }`. It overrides the
+   * `floatPopEnabled` property of the layer, which in turn overrides its `popupEnabled`.
+   * While the manager is enabled, the view's own popup doesn't open, so layers can keep
+   * `popupEnabled` on.
+   */
+  @property()
+  layerFloatPopEnabled: HashMap<boolean> = null;
 
-  closeAll() {
-    if (this.autoclose) {
-      if (this.floatpops && this.floatpops.length) {
-        this.floatpops.forEach((pop) => {
-          pop.clear();
-          pop.close();
-        });
-      }
-    }
+  /**
+   * Called with each layer that passes `includeLayers` and `excludeLayers`, returns whether the
+   * layer can produce pops.
+   */
+  @property()
+  layerFilter: (layer: Layer) => boolean = null;
+
+  /**
+   * Called with each graphic found under a click, including the graphics of the view, returns
+   * whether it can show in a pop.
+   */
+  @property()
+  graphicFilter: (graphic: Graphic) => boolean = null;
+
+  @property()
+  hoverThrottle: number = 200;
+
+  /**
+   * The order in which a pop pages through the features found by a click, see
+   * `FloatPopRanking`. The feature hit on screen always comes first. Ranking, like the feature
+   * limits, waits for all the layers to answer before the pop opens.
+   */
+  @property()
+  ranking: FloatPopRanking = "none";
+
+  /**
+   * Layers, or their ids, in order of priority for the `layer-priority` ranking. Unlisted layers
+   * come last. A group layer gives its priority to the layers it contains.
+   */
+  @property()
+  layerPriority: (Layer | string)[] = null;
+
+  /**
+   * The maximum number of features in a pop, `0` for no limit.
+   */
+  @property()
+  maxFeatures: number = 0;
+
+  /**
+   * The maximum number of features of each layer in a pop, `0` for no limit.
+   */
+  @property()
+  maxFeaturesPerLayer: number = 0;
+
+  /**
+   * The smallest distance in pixels between a click and a feature that still hits it. The
+   * distance used for a layer grows with the size of its symbols up to `maxClickTolerance`.
+   */
+  @property()
+  minClickTolerance: number = 6;
+
+  /**
+   * The largest distance in pixels between a click and a feature that still hits it.
+   */
+  @property()
+  maxClickTolerance: number = 48;
+
+  @property({
+    value: false
+  })
+  set autonumber(value: boolean) {
+    this._set("autonumber", value);
+    this._updateNumbers();
   }
 
-  showAll() {
+  @property()
+  numberingPolicy: FloatPopNumberingPolicy = "reuse";
+
+  /**
+   * The maximum number of open pops, `0` for no limit. Once it's reached, opening a pop evicts
+   * another one according to `evictionPolicy`.
+   */
+  @property({
+    value: 0
+  })
+  set maxPops(value: number) {
+    this._set("maxPops", value);
 
+    if (value > 0 && this.floatpops) {
+      this._makeRoom(value);
+    }
   }
 
-  _showPopup(b, a) {
-    function f(c) { return h.allLayerViews.find(function (a) { return a.layer === c }) }
+  /**
+   * How room is made for a new pop once `maxPops` is reached. See `FloatPopEvictionPolicy`.
+   */
+  @property()
+  evictionPolicy: FloatPopEvictionPolicy = "oldest";
 
-    function g(c) {
-      if (null == c) return !1;
-      var a = f(c);
-      return null == a ? !1 : c.loaded && !a.suspended &&
-        (
-          // 这里需要关闭popupEnabled，从而避免view自身的popup弹出
-          // 将来考虑增加一个标识
-          // c.popupEnabled &&
-          c.popupTemplate
-          || "graphics" === c.type || "geo-rss" === c.type || "map-notes" ===
-          c.type || "kml" === c.type || a.getPopupData)
+  /**
+   * When `true`, pops that overlap are moved apart after they open and whenever the view extent
+   * changes. A moved pop is joined to its location by a leader line.
+   */
+  @property({
+    value: true
+  })
+  set layoutEnabled(value: boolean) {
+    this._set("layoutEnabled", value);
+
+    if (value) {
+      this._scheduleLayout();
+      return;
     }
 
-    function x(a) { return (a = f(a)) && a.hasDraped }
+    this.floatpops && this.floatpops.forEach((pop) => pop.displacement = null);
+  }
 
-    var h = this.view,
+  /**
+   * When `true`, the open pops are kept in the `floatpops` parameter of the URL hash and the
+   * pops found there are reopened once the view is ready, so links bring the same pops along.
+   */
+  @property({
+    value: false
+  })
+  set hashSyncEnabled(value: boolean) {
+    this._set("hashSyncEnabled", value);
+    this._hashRestored = false;
+    this._handles.remove("hash-sync");
+
+    if (value) {
+      this._handles.add(watchUtils.whenOnce(this, "view.ready", () => this._restoreFromHash()), "hash-sync");
+    }
+  }
+
+  @property()
+  layer: Layer = null;
+
+  @property()
+  features: Collection<Graphic> = null;
+
+  private _featureLayersCache: any = null;
+
+  private _clickHandle: any = null;
+
+  private _handles: HandleRegistry = null;
+
+  private _numberGraphics: HashMap<Graphic[]> = null;
+
+  private _lastNumber = 0;
+
+  private _hashRestored = false;
+
+  private _layoutFrame = 0;
+
+  private _popStates: HashMap<FloatPopState> = null;
+
+  private _popCounter = 0;
+
+  private _popOptions: HashMap<FloatPopOption> = null;
+
+  private _liveRegionNode: HTMLElement = null;
+
+  private _previewPop: FloatPop = null;
+
+  private _hoverEvent: any = null;
+
+  private _hoverTimer = 0;
+
+  private _hoverId = 0;
+
+  private _hoverDoneId = 0;
+
+  private _messages = i18n;
+
+  /**
+   * Closes the pops that aren't pinned when `autoclose` is on.
+   */
+  closeAll() {
+    if (this.autoclose) {
+      this.closeUnpinned();
+    }
+  }
+
+  /**
+   * Closes every pop that isn't pinned, whether `autoclose` is on or not.
+   */
+  closeUnpinned() {
+    if (this.floatpops && this.floatpops.length) {
+      this.floatpops
+        .filter((pop) => !pop.pinned)
+        .forEach((pop) => {
+          pop.clear();
+          pop.close();
+        });
+    }
+  }
+
+  /**
+   * Unpins all the open pops, so the next click closes them when `autoclose` is on.
+   */
+  unpinAll() {
+    if (this.floatpops) {
+      this.floatpops.forEach((pop) => pop.pinned = false);
+    }
+  }
+
+  /**
+   * Opens a pop from code. The pop is handled like one opened by a click: it's numbered, laid
+   * out, counted against `maxPops` and closed by autoclose unless pinned. Features that an open
+   * pop already shows focus that pop instead, unless `allowDuplicates` is on. Pops opened from
+   * `promises` aren't checked for duplicates.
+   *
+   * @param {Object} params
+   * @param {module:esri/geometry/Point} [params.location] - Where the pop points to. Defaults to the label point of the first feature.
+   * @param {module:esri/Graphic[]} [params.features] - The features to show.
+   * @param {Promise[]} [params.promises] - Promises resolving with the features to show.
+   * @param {string} [params.title] - The title of the pop.
+   * @param {string | Node} [params.content] - The content of the pop.
+   * @param {Object} [params.options] - Options of this pop, overriding the manager `options`.
+   *
+   * @return {FloatPop} The opened or focused pop, `null` when it couldn't be opened.
+   */
+  open(params: FloatPopOpenOptions): FloatPop {
+    const { features, promises, title, content, options } = params;
+    const location = params.location || (features && features.length ? getLabelPoint(features[0].geometry) : null);
+
+    if (!this.view || !location) {
+      return null;
+    }
+
+    const duplicate = features && features.length && !this.allowDuplicates ? this._findDuplicate(features[0]) : null;
+
+    if (duplicate) {
+      this._focusDuplicate(duplicate.pop, duplicate.index);
+      return duplicate.pop;
+    }
+
+    const pop = this._createPopup(options);
+    pop.open({ location, features, promises, title, content });
+
+    return this._addPopup(pop) ? pop : null;
+  }
+
+  /**
+   * Opens one FloatPop per feature, anchored at the feature's label point: the point itself,
+   * the centroid of a polygon or the midpoint of a line. Features are taken from `features`
+   * when it has items, otherwise they are queried from `layer`.
+   *
+   * @param {Object} [options]
+   * @param {module:esri/tasks/support/Query} [options.query] - Query used against `layer`.
+   * @param {string} [options.where] - Where clause applied to the query against `layer`. Overrides `query.where`.
+   * @param {number} [options.max] - Maximum number of pops to open.
+   *
+   * @return {Promise<FloatPop[]>} Resolves with the pops that were opened.
+   */
+  showAll(options: FloatPopShowAllOptions = {}): IPromise<FloatPop[]> {
+    const { max } = options;
+
+    return this._getShowAllFeatures(options).then((features) => {
+      const limited = max > 0 ? features.slice(0, max) : features;
+
+      return limited
+        .map((feature) => this._showFeature(feature))
+        .filter((pop) => !!pop);
+    });
+  }
+
+  /**
+   * Serializes the open pops to a JSON document that `loadSession` can restore. Only features
+   * that belong to a layer with an object id field are recorded, pops without any are skipped.
+   *
+   * @return {Object} The session document.
+   */
+  saveSession(): FloatPopSession {
+    return {
+      version: SESSION_VERSION,
+      floatpops: this.floatpops.toArray()
+        .map((pop) => this._serializePopup(pop))
+        .filter((entry) => !!entry)
+    };
+  }
+
+  /**
+   * Reopens the pops of a document created by `saveSession`, re-querying their features from
+   * the layers in the map. The pops are added to the ones already open; unless `allowDuplicates`
+   * is on, a pop whose selected feature is already open selects it in the existing pop instead.
+   *
+   * @param {Object | string} session - The session document or its JSON string.
+   *
+   * @return {Promise<FloatPop[]>} Resolves with the pops that were restored, rejects when the
+   *                               JSON string can't be parsed. Malformed entries are skipped.
+   */
+  loadSession(session: FloatPopSession | string): IPromise<FloatPop[]> {
+    let document: FloatPopSession;
+
+    try {
+      document = "string" === typeof session ? JSON.parse(session) : session;
+    }
+    catch (error) {
+      return promiseUtils.reject(error);
+    }
+
+    const entries = getSessionEntries(document);
+    const objectIdsByLayer: HashMap<number[]> = {};
+
+    entries.forEach((entry) => {
+      entry.features.forEach(({ layerId, objectId }) => {
+        const objectIds = objectIdsByLayer[layerId] || (objectIdsByLayer[layerId] = []);
+        objectIds.indexOf(objectId) === -1 && objectIds.push(objectId);
+      });
+    });
+
+    const layerIds = Object.keys(objectIdsByLayer);
+    const promises = layerIds.map((layerId) => this._queryFeaturesByIds(layerId, objectIdsByLayer[layerId]));
+
+    return promiseUtils.eachAlways(promises).then((results: __esri.EachAlwaysResult[]) => {
+      const featuresByKey: HashMap<Graphic> = {};
+
+      results.forEach((result) => {
+        (result.value || []).forEach((feature: Graphic) => {
+          const identity = getFeatureIdentity(feature);
+          identity && (featuresByKey[getFeatureKey(identity)] = feature);
+        });
+      });
+
+      return entries
+        .map((entry) => this._restorePopup(entry, featuresByKey))
+        .filter((pop, index, pops) => !!pop && pops.indexOf(pop) === index);
+    });
+  }
+
+  _showPopup(b, a) {
+    if (this._promotePreview()) {
+      return;
+    }
+
+    var p = this._queryPopupFeatures(b, a);
+    p ? p.length && this._openPopup(this._createPopup(), p, b.mapPoint, a) : this._closePopup();
+  }
+
+  /**
+   * Gathers the layers that can show pops at the event location and queries their features.
+   * Returns `null` when nothing was hit and open pops may be closed.
+   */
+  private _queryPopupFeatures(b: any, a?: Graphic): IPromise<Graphic[]>[] {
+    function f(c) { return h.allLayerViews.find(function (a) { return a.layer === c }) }
+
+    function g(c) {
+      if (null == c) return !1;
+      var a = f(c);
+      return null == a ? !1 : c.loaded && !a.suspended &&
+        (
+          // 图层是否弹出由 _isLayerEnabled 中的 floatPopEnabled 决定，
+          // view 自身的 popup 在 manager 启用时已被屏蔽
+          c.popupTemplate
+          || "graphics" === c.type || "geo-rss" === c.type || "map-notes" ===
+          c.type || "kml" === c.type || a.getPopupData)
+    }
+
+    function x(a) { return (a = f(a)) && a.hasDraped }
+
+    var h = this.view,
       // y = h.popup,
-      y = new FloatPop({
-        container: document.createElement("div"),
-      }),
       r = this,
       d = [],
       e = "3d" === h.type;
 
-    // initialize the float pop
-    y.viewModel.view = h;
-    var popupContainer = h.get('popup');
-    domConstruct.place(y.container, popupContainer.domNode);
-
-    arrayUtil.forEach(this.map.layers.toArray(), function (a) {
-      a.isInstanceOf(GroupLayer) ? arrayUtil.forEach(a.layers.toArray(), function (a) {
-        !g(a) || e && !x(a) || d.push(a);
-      }) : !g(a) || e && !x(a) || d.push(a);
+    arrayUtil.forEach(floatPopUtils.collectLayers(this.map.layers), function (a: Layer) {
+      !g(a) || e && !x(a) || !r._isLayerEnabled(a) || d.push(a);
     });
     0 < h.graphics.length && d.push(h.graphics);
-    (a && h.graphics.includes(a) ? a.popupTemplate : !a || g(a.layer)) || (a = null);
+    (a && h.graphics.includes(a) ? a.popupTemplate : !a || g(a.layer) && r._isLayerEnabled(a.layer)) || (a = null);
+    a && !r._isGraphicEnabled(a) && (a = null);
     if (d.length || a) {
       var p = [],
         t = !!a,
-        v = r._calculateClickTolerance(d),
         n = b.mapPoint;
       if (n) {
         var w = 1;
         h.state && (w = h.state.resolution);
         var k = h.basemapTerrain;
         k && k.overlayManager && (w = k.overlayManager.overlayPixelSizeInMapUnits(n));
-        v *= w;
-        k && !k.spatialReference.equals(h.spatialReference) && (v *= scaleUtils.getMetersPerUnitForSR(k.spatialReference) / scaleUtils.getMetersPerUnitForSR(h.spatialReference));
-        var k = n.clone().offset(-v, -v),
-          n = n.clone().offset(v, v),
-          q = new Extent(Math.min(k.x, n.x), Math.min(k.y, n.y), Math.max(k.x, n.x), Math.max(k.y, n.y), h.spatialReference),
+        k && !k.spatialReference.equals(h.spatialReference) && (w *= scaleUtils.getMetersPerUnitForSR(k.spatialReference) / scaleUtils.getMetersPerUnitForSR(h.spatialReference));
+        // 每个图层按其符号大小计算点击容差
+        var o = n,
+          z = function (c: any) {
+            var v = r._calculateClickTolerance([c]) * w;
+            return new Extent(o.x - v, o.y - v, o.x + v, o.y + v, h.spatialReference);
+          },
           n = function (c) {
-            var g;
+            var g,
+              q = z(c);
             if ("imagery" === c.type) {
               g = new Query();
               g.geometry = b.mapPoint;
@@ -219,56 +1254,1047 @@ class FloatPopManager extends declared(Accessor) {
           u = function (a) { return a.reduce(function (a, b) { return a.concat(b.items ? u(b.items) : b) }, []) },
           p = u(p);
 
+        r.graphicFilter && (p = p.map(function (a: IPromise<Graphic[]>) {
+          return a.then(function (b: Graphic[]) { return b && b.filter(function (a) { return r._isGraphicEnabled(a) }) })
+        }));
 
         a && (a.layer && "scene" === a.layer.type ? p.unshift(this._fetchSceneAttributes(a.layer, [a])) : a.popupTemplate && (n = new Deferred(), p.unshift(n.resolve([a]))));
-        arrayUtil.some(p, function (a) { return !a.isFulfilled() }) || t ?
-          p.length && (y.open({ promises: p, location: b.mapPoint }), r.floatpops.add(y)) :
-          r._closePopup()
-      } else {
-        r._closePopup();
+        return arrayUtil.some(p, function (a) { return !a.isFulfilled() }) || t ? p : null;
       }
-    } else {
-      r._closePopup();
     }
+
+    return null;
   }
 
   _closePopup() {
     var pops = this.floatpops;
     if (this.autoclose) {
       if (pops && pops.length > 0) {
-        pops.forEach((pop) => {
-          pop.clear();
-          pop.close();
-          pop.destroy();
-        });
-        pops.removeAll();
+        pops.filter((pop) => !pop.pinned).forEach((pop) => this._removePopup(pop));
+      }
+    }
+  }
+
+  private _openPopup(pop: FloatPop, promises: IPromise<Graphic[]>[], location: Point, hit?: Graphic) {
+    if (!this.allowDuplicates && hit) {
+      // the hit graphic is known right away, a pop showing it is focused without waiting for the queries
+      const duplicate = this._findDuplicate(hit);
+
+      if (duplicate) {
+        this._destroyPopup(pop);
+        this._focusDuplicate(duplicate.pop, duplicate.index);
+        return;
+      }
+    }
+
+    // without a hit the duplicate can only be told once the first feature is known
+    if (!this._isRankingEnabled() && (this.allowDuplicates || hit)) {
+      pop.open({ promises, location });
+      this._addPopup(pop);
+      return;
+    }
+
+    promiseUtils.eachAlways(promises).then((results: __esri.EachAlwaysResult[]) => {
+      const features = this._rankFeatures(getResultFeatures(results), location, hit);
+      const duplicate = features.length && !this.allowDuplicates ? this._findDuplicate(features[0]) : null;
+
+      if (pop.destroyed) {
+        return;
+      }
+
+      if (!features.length || duplicate) {
+        this._destroyPopup(pop);
+        duplicate && this._focusDuplicate(duplicate.pop, duplicate.index);
+        return;
+      }
+
+      pop.open({ features, location });
+      this._addPopup(pop);
+    }).otherwise(() => {
+      // e.g. a ranking comparator that throws, don't leave a pop behind that never opens
+      if (!pop.destroyed) {
+        this.floatpops.includes(pop) ? this._removePopup(pop) : this._destroyPopup(pop);
+      }
+    });
+  }
+
+  private _isRankingEnabled(): boolean {
+    return this.ranking !== "none" || this.maxFeatures > 0 || this.maxFeaturesPerLayer > 0;
+  }
+
+  private _rankFeatures(features: Graphic[], location: Point, hit?: Graphic): Graphic[] {
+    const { ranking, maxFeatures, maxFeaturesPerLayer } = this;
+    const byDistance = (a: Graphic, b: Graphic) => getFeatureDistance(a, location) - getFeatureDistance(b, location);
+    let ranked = features;
+
+    if ("function" === typeof ranking) {
+      ranked = stableSort(ranked, (a, b) => ranking(a, b, location));
+    } else if (ranking === "distance") {
+      ranked = stableSort(ranked, byDistance);
+    } else if (ranking === "layer-priority") {
+      ranked = stableSort(ranked, (a, b) => this._getLayerPriority(a.layer) - this._getLayerPriority(b.layer) || byDistance(a, b));
+    }
+
+    const hitIndex = hit ? arrayUtil.indexOf(ranked.map((feature) => isSameFeature(feature, hit)), true) : -1;
+
+    if (hitIndex > 0) {
+      ranked = [ranked[hitIndex]].concat(ranked.slice(0, hitIndex), ranked.slice(hitIndex + 1));
+    }
+
+    if (maxFeaturesPerLayer > 0) {
+      const counts: HashMap<number> = {};
+
+      ranked = ranked.filter((feature) => {
+        const key = feature.layer ? feature.layer.id : "";
+        counts[key] = (counts[key] || 0) + 1;
+        return counts[key] <= maxFeaturesPerLayer;
+      });
+    }
+
+    return maxFeatures > 0 ? ranked.slice(0, maxFeatures) : ranked;
+  }
+
+  private _getLayerPriority(layer: Layer): number {
+    const layerPriority = this.layerPriority || [];
+    const path: Layer[] = layer ? (this.map && floatPopUtils.findLayerPath(this.map.layers, layer) || []).concat(layer) : [];
+    const priorities = path
+      .map((item) => Math.max(layerPriority.indexOf(item), layerPriority.indexOf(item.id)))
+      .filter((index) => index !== -1);
+
+    return priorities.length ? Math.min(...priorities) : layerPriority.length;
+  }
+
+  private _isLayerFloatPopEnabled(layer: Layer): boolean {
+    const settings = this.layerFloatPopEnabled;
+    const { floatPopEnabled, popupEnabled } = layer as any;
+
+    if (settings && settings[layer.id] != null) {
+      return settings[layer.id];
+    }
+
+    return floatPopEnabled != null ? !!floatPopEnabled : popupEnabled !== false;
+  }
+
+  private _isLayerEnabled(layer: Layer): boolean {
+    const { includeLayers, excludeLayers, layerFilter } = this;
+
+    if (!this._isLayerFloatPopEnabled(layer)) {
+      return false;
+    }
+
+    const layers = this.map && this.map.layers;
+
+    if (includeLayers && !floatPopUtils.matchesLayers(layers, layer, includeLayers)) {
+      return false;
+    }
+
+    if (excludeLayers && floatPopUtils.matchesLayers(layers, layer, excludeLayers)) {
+      return false;
+    }
+
+    return !layerFilter || layerFilter(layer);
+  }
+
+  private _isGraphicEnabled(graphic: Graphic): boolean {
+    const { graphicFilter } = this;
+    return !graphicFilter || graphicFilter(graphic);
+  }
+
+  private _suppressViewPopup() {
+    const popup = this.get<any>("view.popup");
+
+    this._handles.remove("view-popup");
+
+    if (this.enabled && popup) {
+      // there's no way to keep the view from opening its popup before 4.7, close it as soon as it shows
+      this._handles.add(watchUtils.whenTrue(popup, "visible", () => popup.close()), "view-popup");
+    }
+  }
+
+  private _setupHover() {
+    const { view } = this;
+
+    this._handles.remove("hover");
+    this._cancelHover();
+
+    if (view && this.hoverEnabled) {
+      this._handles.add(view.on("pointer-move", (event: any) => this._pointerMoveHandler(event)), "hover");
+    }
+  }
+
+  private _pointerMoveHandler(event: any) {
+    this._hoverEvent = event;
+
+    if (this._hoverTimer) {
+      return;
+    }
+
+    this._hoverTimer = setTimeout(() => {
+      this._hoverTimer = 0;
+      this._updatePreview(this._hoverEvent);
+    }, this.hoverThrottle);
+  }
+
+  private _updatePreview(event: any) {
+    const { view } = this;
+    const id = ++this._hoverId;
+
+    if (!this.enabled || !view || !view.ready) {
+      this._hoverDoneId = id;
+      this._hidePreview();
+      return;
+    }
+
+    const screenPoint = new ScreenPoint({ x: event.x, y: event.y });
+    const mapPoint = view.toMap(screenPoint);
+
+    if (!mapPoint) {
+      this._hoverDoneId = id;
+      this._hidePreview();
+      return;
+    }
+
+    let graphic: Graphic = null;
+
+    view.hitTest(screenPoint)
+      .then((hit: any) => {
+        graphic = hit.results.length ? hit.results[0].graphic : null;
+
+        const promises = id === this._hoverId ? this._queryPopupFeatures({ mapPoint, screenPoint }, graphic) : null;
+
+        return promises && promiseUtils.eachAlways(promises);
+      })
+      .then((results: __esri.EachAlwaysResult[]) => {
+        if (id !== this._hoverId) {
+          return;
+        }
+
+        this._hoverDoneId = id;
+
+        const features = results ? this._rankFeatures(getResultFeatures(results), mapPoint, graphic) : [];
+        features.length ? this._showPreview(features, mapPoint) : this._hidePreview();
+      })
+      .otherwise(() => {
+        // a failed hit test or query ends the hover without a preview
+        if (id === this._hoverId) {
+          this._hoverDoneId = id;
+          this._hidePreview();
+        }
+      });
+  }
+
+  private _showPreview(features: Graphic[], location: Point) {
+    let pop = this._previewPop;
+
+    if (pop && pop.visible && isSameFeature(pop.selectedFeature, features[0])) {
+      return;
+    }
+
+    if (!pop) {
+      pop = this._previewPop = this._createPopup();
+      pop.set({
+        closeButtonEnabled: false,
+        dockButtonEnabled: false,
+        pinButtonEnabled: false,
+        featureMenuEnabled: false,
+        collapseEnabled: false,
+        dragEnabled: false
+      });
+    }
+
+    pop.open({ features, location });
+    pop.zIndex = this.floatpops.length + 1;
+  }
+
+  private _cancelHover() {
+    if (this._hoverTimer) {
+      clearTimeout(this._hoverTimer);
+      this._hoverTimer = 0;
+    }
+
+    this._hoverDoneId = ++this._hoverId;
+    this._hidePreview();
+  }
+
+  private _hidePreview() {
+    const pop = this._previewPop;
+
+    if (pop) {
+      this._previewPop = null;
+      this._destroyPopup(pop);
+    }
+  }
+
+  /**
+   * Turns the preview into a real pop, unless the pointer moved to another feature since it
+   * was shown.
+   */
+  private _promotePreview(): boolean {
+    const pop = this._previewPop;
+
+    const hoverPending = !!this._hoverTimer || this._hoverDoneId !== this._hoverId;
+
+    if (!pop || !pop.visible || !pop.selectedFeature || hoverPending) {
+      return false;
+    }
+
+    this._previewPop = null;
+
+    const duplicate = this.allowDuplicates ? null : this._findDuplicate(pop.selectedFeature);
+
+    if (duplicate) {
+      this._destroyPopup(pop);
+      this._focusDuplicate(duplicate.pop, duplicate.index);
+      return true;
+    }
+
+    pop.set({
+      collapseEnabled: true,
+      dragEnabled: true
+    });
+    this._applyOptions(pop);
+    this._addPopup(pop);
+
+    return true;
+  }
+
+  private _findDuplicate(feature: Graphic): { pop: FloatPop; index: number } {
+    const identity = getFeatureIdentity(feature);
+
+    if (!identity) {
+      return null;
+    }
+
+    const key = getFeatureKey(identity);
+    let index = -1;
+
+    const pop = this.floatpops.find((candidate) => {
+      index = indexOfFeature(candidate.features || [], key);
+      return index !== -1;
+    });
+
+    return pop ? { pop, index } : null;
+  }
+
+  private _focusDuplicate(pop: FloatPop, featureIndex: number) {
+    pop.set({
+      collapsed: false,
+      selectedFeatureIndex: featureIndex
+    });
+    this.activePop = pop;
+    pop.flash();
+  }
+
+  private _bringToFront(pop: FloatPop) {
+    const popStates = this._popStates;
+
+    if (!popStates[pop.id]) {
+      return;
+    }
+
+    popStates[pop.id].focused = ++this._popCounter;
+
+    this.floatpops.toArray()
+      .sort((a, b) => popStates[a.id].focused - popStates[b.id].focused)
+      .forEach((item, index) => item.zIndex = index + 1);
+  }
+
+  private _createPopup(options?: FloatPopOption): FloatPop {
+    const view = this.view;
+    const pop = new FloatPop({
+      container: document.createElement("div"),
+    });
+
+    if (options) {
+      this._popOptions[pop.id] = options;
+    }
+
+    this._applyOptions(pop);
+    pop.locale = this.locale;
+
+    // initialize the float pop
+    pop.viewModel.view = view;
+    const popupContainer = view.get<any>("popup");
+    domConstruct.place(pop.container, popupContainer.domNode);
+
+    return pop;
+  }
+
+  private _applyOptions(pop: FloatPop) {
+    const popOptions = this._popOptions[pop.id];
+    const { shape, showButton, buttons, circleLabelField } = popOptions ?
+      mergeOptions(this.options, popOptions) :
+      this.options;
+    const show = (button: boolean) => showButton !== false && button !== false;
+
+    pop.set({
+      shape,
+      circleLabelField,
+      closeButtonEnabled: show(buttons.close),
+      dockButtonEnabled: show(buttons.dock),
+      pinButtonEnabled: show(buttons.pin),
+      paginationEnabled: show(buttons.pagination),
+      featureMenuEnabled: show(buttons.featureMenu)
+    });
+  }
+
+  private _getShowAllFeatures(options: FloatPopShowAllOptions): IPromise<Graphic[]> {
+    const { features, layer } = this;
+
+    if (features && features.length) {
+      return promiseUtils.resolve(features.toArray());
+    }
+
+    const queryLayer = layer as any;
+
+    if (!queryLayer || "function" !== typeof queryLayer.queryFeatures) {
+      return promiseUtils.resolve([]);
+    }
+
+    return queryLayer.load().then(() => {
+      // work on a copy, the caller's query is left untouched
+      const query: Query = options.query ? (options.query as any).clone() : queryLayer.createQuery();
+
+      if (options.where) {
+        query.where = options.where;
+      }
+
+      if (options.max > 0) {
+        query.num = options.max;
+      }
+
+      query.returnGeometry = true;
+
+      return queryLayer.queryFeatures(query);
+    }).then((featureSet: any) => {
+      // make sure the features can be identified by layer even if the query didn't set it
+      featureSet.features.forEach((feature: Graphic) => feature.layer || (feature.layer = queryLayer));
+      return featureSet.features;
+    });
+  }
+
+  private _showFeature(feature: Graphic): FloatPop {
+    const location = getLabelPoint(feature.geometry);
+
+    if (!this.view || !location) {
+      return null;
+    }
+
+    const duplicate = this.allowDuplicates ? null : this._findDuplicate(feature);
+
+    if (duplicate) {
+      duplicate.pop.selectedFeatureIndex = duplicate.index;
+      return duplicate.pop;
+    }
+
+    const pop = this._createPopup();
+    pop.open({ features: [feature], location });
+
+    return this._addPopup(pop) ? pop : null;
+  }
+
+  private _findLayer(layerId: string): Layer {
+    const map = this.map as EsriMap;
+    return map && map.allLayers.find((layer) => layer.id === layerId) || null;
+  }
+
+  private _queryFeaturesByIds(layerId: string, objectIds: number[]): IPromise<Graphic[]> {
+    const layer = this._findLayer(layerId) as any;
+
+    if (!layer || "function" !== typeof layer.queryFeatures) {
+      return promiseUtils.resolve([]);
+    }
+
+    return layer.load().then(() => {
+      const query: Query = layer.createQuery();
+      query.objectIds = objectIds;
+      query.outFields = ["*"];
+      query.returnGeometry = true;
+
+      return layer.queryFeatures(query);
+    }).then((featureSet: any) => {
+      // make sure the features can be identified by layer even if the query didn't set it
+      featureSet.features.forEach((feature: Graphic) => feature.layer || (feature.layer = layer));
+      return featureSet.features;
+    });
+  }
+
+  private _serializePopup(pop: FloatPop): FloatPopSessionEntry {
+    const features: Graphic[] = pop.features || [];
+    const identities = features.map((feature) => getFeatureIdentity(feature));
+    const selectedIdentity = identities[pop.selectedFeatureIndex];
+    const restorable = identities.filter((identity) => !!identity);
+
+    if (!restorable.length) {
+      return null;
+    }
+
+    return {
+      location: pop.location ? pop.location.toJSON() : null,
+      features: restorable,
+      selectedFeatureIndex: Math.max(restorable.indexOf(selectedIdentity), 0),
+      dockEnabled: pop.dockEnabled,
+      collapsed: pop.collapsed,
+      number: pop.number,
+      offset: pop.offset ? { x: pop.offset.x, y: pop.offset.y } : null,
+      pinned: pop.pinned
+    };
+  }
+
+  private _restorePopup(entry: FloatPopSessionEntry, featuresByKey: HashMap<Graphic>): FloatPop {
+    const selected = entry.features[entry.selectedFeatureIndex];
+    const identities = entry.features.filter((identity) => !!featuresByKey[getFeatureKey(identity)]);
+    const features = identities.map((identity) => featuresByKey[getFeatureKey(identity)]);
+    const location = entry.location ? Point.fromJSON(entry.location) : features.length && getLabelPoint(features[0].geometry);
+
+    if (!this.view || !features.length || !location) {
+      return null;
+    }
+
+    const selectedFeatureIndex = Math.max(identities.indexOf(selected), 0);
+    const duplicate = this.allowDuplicates ? null : this._findDuplicate(features[selectedFeatureIndex]);
+
+    if (duplicate) {
+      duplicate.pop.selectedFeatureIndex = duplicate.index;
+      return duplicate.pop;
+    }
+
+    const pop = this._createPopup();
+    pop.number = entry.number;
+    pop.open({ features, location });
+    pop.set({
+      selectedFeatureIndex,
+      dockEnabled: !!entry.dockEnabled,
+      collapsed: !!entry.collapsed,
+      offset: entry.offset || null,
+      pinned: !!entry.pinned
+    });
+
+    return this._addPopup(pop) ? pop : null;
+  }
+
+  private _addPopup(pop: FloatPop): boolean {
+    if (this.maxPops > 0 && !this._makeRoom(this.maxPops - 1)) {
+      this._destroyPopup(pop);
+      return false;
+    }
+
+    this.floatpops.add(pop);
+    this._popStates[pop.id] = { opened: ++this._popCounter, focused: this._popCounter };
+
+    this._handles.add([
+      // a pop closed by the user is not reopened, so drop it along with its number
+      watchUtils.watch(pop, "visible", (visible: boolean) => visible || this._removePopup(pop)),
+      watchUtils.watch(pop, "location", () => this._updateNumberGraphics(pop)),
+      watchUtils.watch(pop, ["features", "selectedFeatureIndex"], () => this._updateHash()),
+      watchUtils.watch(pop, "selectedFeatureIndex", () => this._emitPopEvent("pop-select", pop)),
+      pop.on("trigger-pin", () => this._emitPopEvent("pop-pin", pop)),
+      on(pop.container, "pointerdown, focusin, mouseenter", () => this.activePop = pop),
+      watchUtils.watch(pop, [
+        "visible",
+        "features",
+        "selectedFeatureIndex",
+        "collapsed",
+        "expanded",
+        "dockEnabled",
+        "title",
+        "content",
+        "offset"
+      ], () => this._scheduleLayout())
+    ], pop.id);
+
+    if (!this.autonumber) {
+      pop.number = null;
+    }
+    else if (this._isNumberAvailable(pop)) {
+      // keep a number the pop was restored with, the next numbers handed out follow it
+      this._lastNumber = Math.max(this._lastNumber, pop.number);
+      this._updateNumberGraphics(pop);
+    }
+    else {
+      this._assignNumber(pop);
+    }
+
+    this.activePop = pop;
+    this._updateHash();
+    this._emitPopEvent("pop-open", pop);
+
+    return true;
+  }
+
+  private _removePopup(pop: FloatPop) {
+    this._handles.remove(pop.id);
+    this.floatpops.remove(pop);
+    delete this._popStates[pop.id];
+
+    if (this.activePop === pop) {
+      this.activePop = null;
+    }
+
+    this._releaseNumber(pop);
+    this._updateHash();
+    this._emitPopEvent("pop-close", pop);
+    this._destroyPopup(pop);
+  }
+
+  private _destroyPopup(pop: FloatPop) {
+    delete this._popOptions[pop.id];
+    pop.clear();
+    pop.close();
+    pop.destroy();
+  }
+
+  private _makeRoom(limit: number): boolean {
+    while (this.floatpops.length > limit) {
+      const pop = this._findEvictionCandidate();
+
+      if (!pop) {
+        return false;
       }
+
+      this._emitPopEvent("pop-evict", pop);
+      this._removePopup(pop);
+    }
+
+    return true;
+  }
+
+  private _findEvictionCandidate(): FloatPop {
+    const { evictionPolicy } = this;
+
+    if (evictionPolicy === "refuse") {
+      return null;
     }
+
+    const key = evictionPolicy === "least-recently-focused" ? "focused" : "opened";
+
+    return this.floatpops
+      .filter((pop) => !pop.pinned)
+      .toArray()
+      .sort((a, b) => this._popStates[a.id][key] - this._popStates[b.id][key])[0] || null;
   }
 
-  private _fetchSceneAttributes(b, a) {
-    return this.view.whenLayerView(b)
-      .then(function (f) {
-        var g = this._getOutFields(b.popupTemplate),
-          x = a.map(function (a) {
-            return f.whenGraphicAttributes(a, g)
-              .otherwise(function () { return a })
+  private _scheduleLayout() {
+    if (this._layoutFrame || !this.layoutEnabled) {
+      return;
+    }
+
+    // wait for the pops to render so their boxes are measured at their new size
+    this._layoutFrame = requestAnimationFrame(() => {
+      this._layoutFrame = 0;
+      this._layout();
+    });
+  }
+
+  private _layout() {
+    const { view, floatpops } = this;
+
+    if (!view || !floatpops || !this.layoutEnabled) {
+      return;
+    }
+
+    const placed: LayoutBox[] = [];
+    const movable: FloatPop[] = [];
+
+    // pops placed by the user stay where they are, the others move around them
+    floatpops.forEach((pop) => {
+      const box: LayoutBox = pop.offset ? pop.getAnchoredBox() : null;
+
+      if (box) {
+        pop.displacement = null;
+        placed.push(box);
+      }
+      else {
+        movable.push(pop);
+      }
+    });
+
+    movable.forEach((pop) => {
+      const box: LayoutBox = pop.getAnchoredBox();
+
+      if (!box) {
+        pop.displacement = null;
+        return;
+      }
+
+      const shift = resolveOverlap(box, placed, view.width, view.height);
+      const current = pop.displacement;
+
+      placed.push({ x: box.x + shift.x, y: box.y + shift.y, width: box.width, height: box.height });
+
+      if (!shift.x && !shift.y) {
+        pop.displacement = null;
+      }
+      else if (!current || current.x !== shift.x || current.y !== shift.y) {
+        pop.displacement = shift;
+      }
+    });
+  }
+
+  private _setupKeyboard(container: HTMLElement) {
+    this._handles.remove("keyboard");
+
+    if (this._liveRegionNode) {
+      domConstruct.destroy(this._liveRegionNode);
+      this._liveRegionNode = null;
+    }
+
+    if (!container) {
+      return;
+    }
+
+    this._liveRegionNode = domConstruct.create("div", {
+      role: "status",
+      "aria-live": "polite",
+      "aria-atomic": "true",
+      style: LIVE_REGION_STYLE
+    }, container);
+
+    this._handles.add(on(container, "keydown", (event: KeyboardEvent) => this._keyDownHandler(event)), "keyboard");
+  }
+
+  private _keyDownHandler(event: KeyboardEvent) {
+    if (!this.enabled || !this.keyboardEnabled || !this.floatpops.length) {
+      return;
+    }
+
+    const shortcuts = this.keyboardShortcuts;
+    const command = Object.keys(shortcuts).filter((name) => matchesShortcut(event, shortcuts[name]))[0];
+
+    if (!command) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const pop = this.activePop;
+
+    switch (command) {
+      case "nextPop":
+        this._focusSibling(1);
+        break;
+      case "previousPop":
+        this._focusSibling(-1);
+        break;
+      // pops that can't be closed or pinned with their buttons can't be with the keyboard either
+      case "closePop":
+        pop && pop.closeButtonEnabled && this._closeActivePopup();
+        break;
+      case "pinPop":
+        if (pop && pop.pinButtonEnabled) {
+          pop.triggerPin();
+          this._announce(pop.pinned ? this._messages.popPinned : this._messages.popUnpinned, { title: this._getPopLabel(pop) });
+        }
+        break;
+      case "nextFeature":
+      case "previousFeature":
+        if (pop && pop.featureCount > 1) {
+          command === "nextFeature" ? pop.next() : pop.previous();
+          this._announce(this._messages.featureSelected, {
+            index: pop.selectedFeatureIndex + 1,
+            total: pop.featureCount
           });
+        }
+        break;
+    }
+  }
+
+  private _focusSibling(step: number) {
+    const pops = this.floatpops.toArray();
+    const index = pops.indexOf(this.activePop);
+    const nextIndex = index === -1 ?
+      (step > 0 ? 0 : pops.length - 1) :
+      (index + step + pops.length) % pops.length;
+
+    this._focusPopup(pops[nextIndex]);
+  }
+
+  private _focusPopup(pop: FloatPop) {
+    this.activePop = pop;
+    pop.collapsed = false;
+    pop.focus();
+
+    this._announce(this._messages.popFocused, {
+      index: this.floatpops.indexOf(pop) + 1,
+      total: this.floatpops.length,
+      title: this._getPopLabel(pop)
+    });
+  }
+
+  private _closeActivePopup() {
+    const pop = this.activePop;
+    const index = this.floatpops.indexOf(pop);
+    const title = this._getPopLabel(pop);
+
+    // remove it right away, the visible watch would only drop it from the list later on
+    this._removePopup(pop);
+    this._announce(this._messages.popClosed, { title });
+
+    const next = this.floatpops.getItemAt(Math.min(index, this.floatpops.length - 1));
+    next && this._focusPopup(next);
+  }
+
+  private _loadMessages(locale: string) {
+    if (!locale) {
+      this._messages = i18n;
+      return;
+    }
 
-        return z.eachAlways(x);
-      }.bind(this))
-      .then(function (a) { return a.map(function (a) { return a.value }) });
+    require([`dojo/i18n!ec-widgets/FloatPopManager/nls/${locale.toLowerCase()}/FloatPopManager`], (messages: typeof i18n) => {
+      // ignore the strings of a locale that was replaced while loading
+      if (this.locale === locale) {
+        this._messages = messages;
+      }
+    });
+  }
+
+  private _getPopLabel(pop: FloatPop): string {
+    return pop.title ? pop.title.replace(/<[^>]*>/g, "") : this._messages.untitled;
   }
 
-  private _calculateClickTolerance(b) {
-    var a = 6;
-    arrayUtil.forEach(b, function (b) {
-      if (b = b.renderer) "simple" === b.type ? ((b = b.symbol) && b.xoffset && (a = Math.max(a, Math.abs(b.xoffset))), b && b.yoffset && (a = Math.max(a, Math.abs(b.yoffset)))) : "unique-value" !== b.type && "class-breaks" !== b.type || arrayUtil.forEach(b.uniqueValueInfos || b.classBreakInfos, function (b) {
-        (b = b.symbol) && b.xoffset && (a = Math.max(a, Math.abs(b.xoffset)));
-        b && b.yoffset && (a = Math.max(a, Math.abs(b.yoffset)))
+  private _announce(template: string, data: any) {
+    const node = this._liveRegionNode;
+
+    if (!node) {
+      return;
+    }
+
+    // clear the region first, so repeating a message is announced again
+    node.textContent = "";
+    setTimeout(() => node.textContent = esriLang.substitute(data, template), 100);
+  }
+
+  private _emitPopEvent(type: string, pop: FloatPop) {
+    const event: FloatPopEvent = {
+      pop,
+      feature: pop.selectedFeature || null,
+      location: pop.location || null
+    };
+
+    this.emit(type, event);
+  }
+
+  private _restoreFromHash() {
+    const value = readHashParam(HASH_KEY);
+    const entries = value ? decodeHashEntries(value) : [];
+
+    if (!entries.length) {
+      this._hashRestored = true;
+      return;
+    }
+
+    this.loadSession({ version: SESSION_VERSION, floatpops: entries })
+      .always(() => {
+        this._hashRestored = true;
+        this._updateHash();
       });
+  }
+
+  private _updateHash() {
+    // don't overwrite the hash before the pops it lists have been reopened
+    if (!this.hashSyncEnabled || !this._hashRestored) {
+      return;
+    }
+
+    const entries = this.floatpops.toArray()
+      .map((pop) => this._serializePopup(pop))
+      .filter((entry) => !!entry);
+
+    writeHashParam(HASH_KEY, encodeHashEntries(entries));
+  }
+
+  private _assignNumber(pop: FloatPop) {
+    pop.number = this._nextNumber();
+    this._updateNumberGraphics(pop);
+  }
+
+  private _isNumberAvailable(pop: FloatPop) {
+    const number = pop.number;
+    return number != null && !this.floatpops.some((item) => item !== pop && item.number === number);
+  }
+
+  private _nextNumber() {
+    if (this.numberingPolicy === "increment") {
+      return ++this._lastNumber;
+    }
+
+    const numbers = this.floatpops.map((pop) => pop.number).toArray();
+    let number = 1;
+
+    while (numbers.indexOf(number) !== -1) {
+      number++;
+    }
+
+    return number;
+  }
+
+  private _releaseNumber(pop: FloatPop) {
+    if (pop.number == null) {
+      return;
+    }
+
+    pop.number = null;
+    this._removeNumberGraphics(pop);
+
+    if (this.numberingPolicy === "compact") {
+      this._compactNumbers();
+    }
+
+    if (!this.floatpops.some((item) => item.number != null)) {
+      this._lastNumber = 0;
+    }
+  }
+
+  private _compactNumbers() {
+    this.floatpops
+      .filter((pop) => pop.number != null)
+      .toArray()
+      .sort((a, b) => a.number - b.number)
+      .forEach((pop, index) => {
+        if (pop.number !== index + 1) {
+          pop.number = index + 1;
+          this._updateNumberGraphics(pop);
+        }
+      });
+  }
+
+  private _updateNumbers() {
+    const pops = this.floatpops;
+
+    if (!pops) {
+      return;
+    }
+
+    if (this.autonumber) {
+      pops.forEach((pop) => pop.number == null && this._assignNumber(pop));
+      return;
+    }
+
+    this._clearNumbers();
+  }
+
+  private _clearNumbers() {
+    this.floatpops && this.floatpops.forEach((pop) => {
+      pop.number = null;
+      this._removeNumberGraphics(pop);
     });
-    return a;
+
+    this._lastNumber = 0;
+  }
+
+  private _updateNumberGraphics(pop: FloatPop) {
+    this._removeNumberGraphics(pop);
+
+    const view = this.view;
+    const { number, location } = pop;
+
+    if (!view || number == null || !location) {
+      return;
+    }
+
+    const graphics = this._createNumberGraphics(number, location, "3d" === view.type);
+    this._numberGraphics[pop.id] = graphics;
+    view.graphics.addMany(graphics);
+  }
+
+  private _removeNumberGraphics(pop: FloatPop) {
+    const graphics = this._numberGraphics[pop.id];
+
+    if (!graphics) {
+      return;
+    }
+
+    delete this._numberGraphics[pop.id];
+    this.view && this.view.graphics.removeMany(graphics);
+  }
+
+  private _createNumberGraphics(number: number, location: Point, is3d: boolean): Graphic[] {
+    const text = `${number}`;
+
+    if (is3d) {
+      return [
+        new Graphic({
+          geometry: location,
+          symbol: new PointSymbol3D({
+            symbolLayers: [
+              new IconSymbol3DLayer({
+                size: NUMBER_MARKER_SIZE,
+                resource: { primitive: "circle" },
+                material: { color: NUMBER_MARKER_COLOR },
+                outline: { color: "white", size: 1 }
+              }),
+              new TextSymbol3DLayer({
+                text,
+                size: 10,
+                material: { color: "white" }
+              })
+            ]
+          })
+        })
+      ];
+    }
+
+    return [
+      new Graphic({
+        geometry: location,
+        symbol: new SimpleMarkerSymbol({
+          style: "circle",
+          size: NUMBER_MARKER_SIZE,
+          color: NUMBER_MARKER_COLOR,
+          outline: { color: "white", width: 1 }
+        })
+      }),
+      new Graphic({
+        geometry: location,
+        symbol: new TextSymbol({
+          text,
+          color: "white",
+          horizontalAlignment: "center",
+          verticalAlignment: "middle",
+          font: { size: 10, weight: "bold" }
+        })
+      })
+    ];
+  }
+
+  private _fetchSceneAttributes(layer: any, graphics: Graphic[]): IPromise<Graphic[]> {
+    return floatPopUtils.fetchSceneAttributes(this.view, layer, graphics);
+  }
+
+  /**
+   * The click tolerance of layers in pixels, from the largest symbol their renderers can draw,
+   * clamped to `minClickTolerance` and `maxClickTolerance`.
+   */
+  private _calculateClickTolerance(layers: any[]): number {
+    const tolerance = layers.reduce((max, layer) => {
+      return layer.renderer ? Math.max(max, getRendererTolerance(layer.renderer)) : max;
+    }, 0);
+
+    return Math.min(Math.max(tolerance, this.minClickTolerance), this.maxClickTolerance);
+  }
+
+  private _gestureHandler(event: any) {
+    const gesture = getGesture(event);
+    const { open, replace } = this.trigger as FloatPopTrigger;
+
+    // while enabled the view popup is replaced by the pops, don't let it fetch features on click
+    if (event.type === "click") {
+      event.stopPropagation();
+    }
+
+    if (!gesture || (gesture !== replace && gesture !== open)) {
+      return;
+    }
+
+    // the gesture is ours, e.g. a double-click must not zoom the view as well
+    event.stopPropagation();
+
+    if (gesture === replace) {
+      this.closeUnpinned();
+    }
+
+    this._clickHandler(event);
   }
 
   private _clickHandler(b) {
@@ -277,17 +2303,16 @@ class FloatPopManager extends declared(Accessor) {
     var f = this.view,
       g = b.screenPoint,
       l = this;
-    if (0 === b.button && f.popup && f.ready) {
+    if (f.popup && f.ready) {
       var h = "3d" === f.type,
-        y = f.map.allLayers.some(function (b) {
-          if (b.isInstanceOf(GroupLayer)) { return false; }
-
+        y = arrayUtil.some(floatPopUtils.collectLayers(f.map.layers), function (b: any) {
           var d;
           null == b ?
             d = false :
             (d = a(b),
               d = null == d ? false :
-                b.loaded && !d.suspended && (b.popupEnabled && b.popupTemplate || "graphics" === b.type || d.getPopupData));
+                b.loaded && !d.suspended && (b.popupTemplate || "graphics" === b.type || d.getPopupData) &&
+                l._isLayerEnabled(b));
           d && !(d = !h) && (d = (b = a(b)) && b.hasDraped);
 
           return d ? true : false;
@@ -0,0 +1,11 @@
+define({
+  root: {
+    untitled: "Untitled",
+    popFocused: "Popup {index} of {total}: {title}",
+    popClosed: "Popup closed: {title}",
+    popPinned: "Popup pinned: {title}",
+    popUnpinned: "Popup unpinned: {title}",
+    featureSelected: "Feature {index} of {total}"
+  },
+  "zh-cn": 1,
+});
@@ -0,0 +1,8 @@
+define({
+  untitled: "未命名",
+  popFocused: "第 {index} 个弹窗，共 {total} 个：{title}",
+  popClosed: "已关闭弹窗：{title}",
+  popPinned: "已固定弹窗：{title}",
+  popUnpinned: "已取消固定弹窗：{title}",
+  featureSelected: "第 {index} 个要素，共 {total} 个",
+});
@@ -0,0 +1,161 @@
+define(["require", "exports", "esri/core/promiseUtils"], function (require, exports, promiseUtils) {
+    "use strict";
+    Object.defineProperty(exports, "__esModule", { value: true });
+    var TEMPLATE_FIELD_RE = /\{([^{}:]+)(?::[^{}]*)?\}/g;
+    var ARCADE_FIELD_RE = /\$feature(?:\.([A-Za-z_]\w*)|\[\s*["']([^"']+)["']\s*\])/g;
+    function collectTemplateFields(template, fields) {
+        if ("string" !== typeof template) {
+            return;
+        }
+        var match;
+        TEMPLATE_FIELD_RE.lastIndex = 0;
+        while ((match = TEMPLATE_FIELD_RE.exec(template))) {
+            var name_1 = match[1].trim();
+            // expression placeholders are resolved through expressionInfos
+            if (name_1.indexOf("expression/") !== 0) {
+                fields.push(name_1);
+            }
+        }
+    }
+    function collectFieldInfos(fieldInfos, fields) {
+        fieldInfos && fieldInfos.forEach(function (fieldInfo) {
+            var name = fieldInfo && fieldInfo.fieldName;
+            if (name && name.indexOf("expression/") !== 0) {
+                fields.push(name);
+            }
+        });
+    }
+    function collectExpressionFields(expression, fields) {
+        if ("string" !== typeof expression) {
+            return;
+        }
+        var match;
+        ARCADE_FIELD_RE.lastIndex = 0;
+        while ((match = ARCADE_FIELD_RE.exec(expression))) {
+            fields.push(match[1] || match[2]);
+        }
+    }
+    function collectContentFields(content, fields) {
+        if ("string" === typeof content) {
+            collectTemplateFields(content, fields);
+            return;
+        }
+        if (!Array.isArray(content)) {
+            return;
+        }
+        content.forEach(function (element) {
+            if (!element) {
+                return;
+            }
+            if ("text" === element.type) {
+                collectTemplateFields(element.text, fields);
+            }
+            else if ("fields" === element.type) {
+                collectFieldInfos(element.fieldInfos, fields);
+            }
+            else if ("media" === element.type && element.mediaInfos) {
+                element.mediaInfos.forEach(function (mediaInfo) {
+                    var value = mediaInfo.value || {};
+                    collectTemplateFields(mediaInfo.title, fields);
+                    collectTemplateFields(mediaInfo.caption, fields);
+                    collectTemplateFields(value.linkURL, fields);
+                    collectTemplateFields(value.sourceURL, fields);
+                    value.fields && value.fields.forEach(function (name) { return fields.push(name); });
+                    value.normalizeField && fields.push(value.normalizeField);
+                    value.tooltipField && fields.push(value.tooltipField);
+                });
+            }
+        });
+    }
+    /**
+     * Returns the fields a popupTemplate needs: the ones referenced in its title, content,
+     * field infos and arcade expressions, plus the object id field. Falls back to all fields
+     * when the content is built by a function and can't be inspected.
+     */
+    function getPopupOutFields(popupTemplate, objectIdField) {
+        if (!popupTemplate || "function" === typeof popupTemplate.content) {
+            return ["*"];
+        }
+        var fields = (popupTemplate.outFields || []).slice();
+        collectTemplateFields(popupTemplate.title, fields);
+        collectContentFields(popupTemplate.content, fields);
+        collectFieldInfos(popupTemplate.fieldInfos, fields);
+        popupTemplate.expressionInfos && popupTemplate.expressionInfos.forEach(function (expressionInfo) {
+            collectExpressionFields(expressionInfo.expression, fields);
+        });
+        objectIdField && fields.push(objectIdField);
+        if (fields.indexOf("*") !== -1) {
+            return ["*"];
+        }
+        return fields.filter(function (name, index) { return fields.indexOf(name) === index; });
+    }
+    exports.getPopupOutFields = getPopupOutFields;
+    /**
+     * Fetches the attributes the popupTemplate of a scene layer needs for graphics found by a
+     * hit test, which only carry the attributes used for drawing. A graphic whose attributes
+     * can't be fetched, or a layer view that can't fetch any, leaves the graphics as they are.
+     */
+    function fetchSceneAttributes(view, layer, graphics) {
+        var outFields = getPopupOutFields(layer.popupTemplate, layer.objectIdField);
+        return view.whenLayerView(layer)
+            .then(function (layerView) {
+            if (!layerView || "function" !== typeof layerView.whenGraphicAttributes) {
+                return graphics;
+            }
+            var promises = graphics.map(function (graphic) {
+                return layerView.whenGraphicAttributes(graphic, outFields)
+                    .then(null, function () { return graphic; });
+            });
+            return promiseUtils.eachAlways(promises)
+                .then(function (results) {
+                return results.map(function (result, index) { return result.value || graphics[index]; });
+            });
+        })
+            .then(null, function () { return graphics; });
+    }
+    exports.fetchSceneAttributes = fetchSceneAttributes;
+    /**
+     * Lists the layers of a collection, walking nested group layers of any depth. The layers of a
+     * group that is hidden, or hidden from the layer list with `listMode`, are left out.
+     */
+    function collectLayers(layers, result) {
+        if (result === void 0) { result = []; }
+        layers.forEach(function (layer) {
+            if (layer.type === "group") {
+                var group = layer;
+                group.visible && group.listMode !== "hide" && collectLayers(group.layers, result);
+            }
+            else {
+                result.push(layer);
+            }
+        });
+        return result;
+    }
+    exports.collectLayers = collectLayers;
+    /**
+     * Returns the groups leading to a layer, outermost first, or `null` when the layer isn't in
+     * the collection.
+     */
+    function findLayerPath(layers, layer) {
+        var path = null;
+        layers.some(function (item) {
+            var subPath = item === layer ? [] : item.layers ? findLayerPath(item.layers, layer) : null;
+            if (subPath) {
+                path = item === layer ? subPath : [item].concat(subPath);
+            }
+            return !!subPath;
+        });
+        return path;
+    }
+    exports.findLayerPath = findLayerPath;
+    /**
+     * Tells whether a layer, or one of the groups leading to it, is in a list of layers and layer
+     * ids, so that listing a group covers all the layers in it.
+     */
+    function matchesLayers(layers, layer, items) {
+        var path = (layers && findLayerPath(layers, layer) || []).concat(layer);
+        return path.some(function (item) { return items.some(function (value) { return value === item || value === item.id; }); });
+    }
+    exports.matchesLayers = matchesLayers;
+});
+//# sourceMappingURL=floatPopUtils.js.map
\ No newline at end of file
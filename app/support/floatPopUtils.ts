@@ -0,0 +1,192 @@
+import promiseUtils = require("esri/core/promiseUtils");
+
+import Graphic = require("esri/Graphic");
+import Collection = require("esri/core/Collection");
+import GroupLayer = require("esri/layers/GroupLayer");
+import Layer = require("esri/layers/Layer");
+import MapView = require("esri/views/MapView");
+import SceneView = require("esri/views/SceneView");
+
+const TEMPLATE_FIELD_RE = /\{([^{}:]+)(?::[^{}]*)?\}/g;
+
+const ARCADE_FIELD_RE = /\$feature(?:\.([A-Za-z_]\w*)|\[\s*["']([^"']+)["']\s*\])/g;
+
+function collectTemplateFields(template: any, fields: string[]): void {
+  if ("string" !== typeof template) {
+    return;
+  }
+
+  let match: RegExpExecArray;
+  TEMPLATE_FIELD_RE.lastIndex = 0;
+
+  while ((match = TEMPLATE_FIELD_RE.exec(template))) {
+    const name = match[1].trim();
+
+    // expression placeholders are resolved through expressionInfos
+    if (name.indexOf("expression/") !== 0) {
+      fields.push(name);
+    }
+  }
+}
+
+function collectFieldInfos(fieldInfos: any[], fields: string[]): void {
+  fieldInfos && fieldInfos.forEach((fieldInfo) => {
+    const name = fieldInfo && fieldInfo.fieldName;
+
+    if (name && name.indexOf("expression/") !== 0) {
+      fields.push(name);
+    }
+  });
+}
+
+function collectExpressionFields(expression: string, fields: string[]): void {
+  if ("string" !== typeof expression) {
+    return;
+  }
+
+  let match: RegExpExecArray;
+  ARCADE_FIELD_RE.lastIndex = 0;
+
+  while ((match = ARCADE_FIELD_RE.exec(expression))) {
+    fields.push(match[1] || match[2]);
+  }
+}
+
+function collectContentFields(content: any, fields: string[]): void {
+  if ("string" === typeof content) {
+    collectTemplateFields(content, fields);
+    return;
+  }
+
+  if (!Array.isArray(content)) {
+    return;
+  }
+
+  content.forEach((element) => {
+    if (!element) {
+      return;
+    }
+
+    if ("text" === element.type) {
+      collectTemplateFields(element.text, fields);
+    }
+    else if ("fields" === element.type) {
+      collectFieldInfos(element.fieldInfos, fields);
+    }
+    else if ("media" === element.type && element.mediaInfos) {
+      element.mediaInfos.forEach((mediaInfo: any) => {
+        const value = mediaInfo.value || {};
+
+        collectTemplateFields(mediaInfo.title, fields);
+        collectTemplateFields(mediaInfo.caption, fields);
+        collectTemplateFields(value.linkURL, fields);
+        collectTemplateFields(value.sourceURL, fields);
+        value.fields && value.fields.forEach((name: string) => fields.push(name));
+        value.normalizeField && fields.push(value.normalizeField);
+        value.tooltipField && fields.push(value.tooltipField);
+      });
+    }
+  });
+}
+
+/**
+ * Returns the fields a popupTemplate needs: the ones referenced in its title, content,
+ * field infos and arcade expressions, plus the object id field. Falls back to all fields
+ * when the content is built by a function and can't be inspected.
+ */
+export function getPopupOutFields(popupTemplate: any, objectIdField?: string): string[] {
+  if (!popupTemplate || "function" === typeof popupTemplate.content) {
+    return ["*"];
+  }
+
+  const fields: string[] = (popupTemplate.outFields || []).slice();
+
+  collectTemplateFields(popupTemplate.title, fields);
+  collectContentFields(popupTemplate.content, fields);
+  collectFieldInfos(popupTemplate.fieldInfos, fields);
+
+  popupTemplate.expressionInfos && popupTemplate.expressionInfos.forEach((expressionInfo: any) => {
+    collectExpressionFields(expressionInfo.expression, fields);
+  });
+
+  objectIdField && fields.push(objectIdField);
+
+  if (fields.indexOf("*") !== -1) {
+    return ["*"];
+  }
+
+  return fields.filter((name, index) => fields.indexOf(name) === index);
+}
+
+/**
+ * Fetches the attributes the popupTemplate of a scene layer needs for graphics found by a
+ * hit test, which only carry the attributes used for drawing. A graphic whose attributes
+ * can't be fetched, or a layer view that can't fetch any, leaves the graphics as they are.
+ */
+export function fetchSceneAttributes(view: MapView | SceneView, layer: any, graphics: Graphic[]): IPromise<Graphic[]> {
+  const outFields = getPopupOutFields(layer.popupTemplate, layer.objectIdField);
+
+  return view.whenLayerView(layer)
+    .then((layerView: any) => {
+      if (!layerView || "function" !== typeof layerView.whenGraphicAttributes) {
+        return graphics;
+      }
+
+      const promises = graphics.map((graphic) => {
+        return layerView.whenGraphicAttributes(graphic, outFields)
+          .then(null, () => graphic);
+      });
+
+      return promiseUtils.eachAlways(promises)
+        .then((results: __esri.EachAlwaysResult[]) => {
+          return results.map((result, index) => result.value || graphics[index]);
+        });
+    })
+    .then(null, () => graphics);
+}
+
+/**
+ * Lists the layers of a collection, walking nested group layers of any depth. The layers of a
+ * group that is hidden, or hidden from the layer list with `listMode`, are left out.
+ */
+export function collectLayers(layers: Collection<Layer>, result: Layer[] = []): Layer[] {
+  layers.forEach((layer) => {
+    if (layer.type === "group") {
+      const group = layer as GroupLayer;
+      group.visible && group.listMode !== "hide" && collectLayers(group.layers, result);
+    } else {
+      result.push(layer);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Returns the groups leading to a layer, outermost first, or `null` when the layer isn't in
+ * the collection.
+ */
+export function findLayerPath(layers: Collection<Layer>, layer: Layer): Layer[] {
+  let path: Layer[] = null;
+
+  layers.some((item: any) => {
+    const subPath = item === layer ? [] : item.layers ? findLayerPath(item.layers, layer) : null;
+
+    if (subPath) {
+      path = item === layer ? subPath : [item].concat(subPath);
+    }
+
+    return !!subPath;
+  });
+
+  return path;
+}
+
+/**
+ * Tells whether a layer, or one of the groups leading to it, is in a list of layers and layer
+ * ids, so that listing a group covers all the layers in it.
+ */
+export function matchesLayers(layers: Collection<Layer>, layer: Layer, items: (Layer | string)[]): boolean {
+  const path = (layers && findLayerPath(layers, layer) || []).concat(layer);
+  return path.some((item) => items.some((value) => value === item || value === item.id));
+}
@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadModule, promiseUtils } = require("./support/loadModule");
+
+const floatPopUtils = loadModule("support/floatPopUtils", {
+  "esri/core/promiseUtils": promiseUtils
+});
+
+test("getPopupOutFields", async (t) => {
+  const { getPopupOutFields } = floatPopUtils;
+
+  await t.test("reads the fields of the title", () => {
+    assert.deepStrictEqual(getPopupOutFields({ title: "{NAME} in {CITY:DateString}" }), ["NAME", "CITY"]);
+  });
+
+  await t.test("reads the fields of text, fields and media content", () => {
+    const fields = getPopupOutFields({
+      content: [
+        { type: "text", text: "<b>{OWNER}</b>" },
+        { type: "fields", fieldInfos: [{ fieldName: "AREA" }, { fieldName: "expression/area-km" }] },
+        {
+          type: "media",
+          mediaInfos: [{
+            title: "{PHOTO_TITLE}",
+            caption: "{PHOTO_CAPTION}",
+            value: {
+              sourceURL: "{PHOTO_URL}",
+              linkURL: "{LINK_URL}",
+              fields: ["POP_2000", "POP_2010"],
+              normalizeField: "POP_TOTAL",
+              tooltipField: "POP_LABEL"
+            }
+          }]
+        }
+      ]
+    });
+
+    assert.deepStrictEqual(fields, [
+      "OWNER", "AREA", "PHOTO_TITLE", "PHOTO_CAPTION", "LINK_URL", "PHOTO_URL",
+      "POP_2000", "POP_2010", "POP_TOTAL", "POP_LABEL"
+    ]);
+  });
+
+  await t.test("reads the fields of string content", () => {
+    assert.deepStrictEqual(getPopupOutFields({ content: "{A} and {B}" }), ["A", "B"]);
+  });
+
+  await t.test("reads the template fieldInfos", () => {
+    assert.deepStrictEqual(getPopupOutFields({ fieldInfos: [{ fieldName: "TYPE" }, null, {}] }), ["TYPE"]);
+  });
+
+  await t.test("reads the fields referenced by arcade expressions", () => {
+    const fields = getPopupOutFields({
+      expressionInfos: [
+        { name: "ratio", expression: "$feature.POP / $feature['AREA']" },
+        { name: "label", expression: "Upper($feature[\"FULL NAME\"])" }
+      ]
+    });
+
+    assert.deepStrictEqual(fields, ["POP", "AREA", "FULL NAME"]);
+  });
+
+  await t.test("skips expression placeholders", () => {
+    assert.deepStrictEqual(getPopupOutFields({ title: "{expression/ratio} {NAME}" }), ["NAME"]);
+  });
+
+  await t.test("adds the object id field and removes duplicates", () => {
+    assert.deepStrictEqual(getPopupOutFields({ title: "{NAME} {NAME}", outFields: ["NAME"] }, "OBJECTID"), ["NAME", "OBJECTID"]);
+  });
+
+  await t.test("collapses to all fields when one of them is *", () => {
+    assert.deepStrictEqual(getPopupOutFields({ title: "{NAME}", outFields: ["*"] }, "OBJECTID"), ["*"]);
+  });
+
+  await t.test("falls back to all fields for function content or no template", () => {
+    assert.deepStrictEqual(getPopupOutFields({ title: "{NAME}", content: () => "" }), ["*"]);
+    assert.deepStrictEqual(getPopupOutFields(null), ["*"]);
+  });
+});
+
+test("fetchSceneAttributes", async (t) => {
+  const { fetchSceneAttributes } = floatPopUtils;
+
+  const layer = { popupTemplate: { title: "{NAME}" }, objectIdField: "OBJECTID" };
+
+  function createGraphic(id) {
+    return { attributes: { OBJECTID: id } };
+  }
+
+  function createView(layerView) {
+    return {
+      whenLayerView: () => layerView instanceof Error ? Promise.reject(layerView) : Promise.resolve(layerView)
+    };
+  }
+
+  await t.test("fetches the attributes the popupTemplate needs", async () => {
+    const requests = [];
+    const view = createView({
+      whenGraphicAttributes: (graphic, outFields) => {
+        requests.push(outFields);
+        return Promise.resolve({ attributes: { OBJECTID: graphic.attributes.OBJECTID, NAME: "fetched" } });
+      }
+    });
+
+    const graphics = await fetchSceneAttributes(view, layer, [createGraphic(1)]);
+
+    assert.deepStrictEqual(requests, [["NAME", "OBJECTID"]]);
+    assert.deepStrictEqual(graphics.map((graphic) => graphic.attributes), [{ OBJECTID: 1, NAME: "fetched" }]);
+  });
+
+  await t.test("keeps the graphics whose attributes can't be fetched", async () => {
+    const view = createView({
+      whenGraphicAttributes: (graphic) => {
+        return graphic.attributes.OBJECTID === 2 ?
+          Promise.reject(new Error("not available")) :
+          Promise.resolve({ attributes: { OBJECTID: graphic.attributes.OBJECTID, NAME: "fetched" } });
+      }
+    });
+    const graphics = [createGraphic(1), createGraphic(2), createGraphic(3)];
+
+    const result = await fetchSceneAttributes(view, layer, graphics);
+
+    assert.strictEqual(result.length, 3);
+    assert.strictEqual(result[0].attributes.NAME, "fetched");
+    assert.strictEqual(result[1], graphics[1]);
+    assert.strictEqual(result[2].attributes.NAME, "fetched");
+  });
+
+  await t.test("returns the graphics when the layer view can't fetch attributes", async () => {
+    const graphics = [createGraphic(1)];
+
+    assert.strictEqual(await fetchSceneAttributes(createView({}), layer, graphics), graphics);
+    assert.strictEqual(await fetchSceneAttributes(createView(null), layer, graphics), graphics);
+  });
+
+  await t.test("returns the graphics when the layer view isn't available", async () => {
+    const graphics = [createGraphic(1)];
+
+    assert.strictEqual(await fetchSceneAttributes(createView(new Error("no layer view")), layer, graphics), graphics);
+  });
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { loadModule, promiseUtils } = require("./support/loadModule");
+
+const { collectLayers, findLayerPath, matchesLayers } = loadModule("support/floatPopUtils", {
+  "esri/core/promiseUtils": promiseUtils
+});
+
+// plain arrays stand in for collections, they have the forEach and some used by the helpers
+function createLayer(id) {
+  return { id, type: "feature", visible: true, listMode: "show" };
+}
+
+function createGroup(id, layers, properties = {}) {
+  return Object.assign({ id, type: "group", visible: true, listMode: "show", layers }, properties);
+}
+
+function createTree(properties = {}) {
+  const parcels = createLayer("parcels");
+  const roads = createLayer("roads");
+  const pipes = createLayer("pipes");
+  const valves = createLayer("valves");
+  const hydrants = createLayer("hydrants");
+  const water = createGroup("water", [pipes, valves, hydrants], properties.water);
+  const utilities = createGroup("utilities", [water], properties.utilities);
+  const city = createGroup("city", [roads, utilities], properties.city);
+
+  return {
+    layers: [parcels, city],
+    parcels, roads, pipes, valves, hydrants, water, utilities, city
+  };
+}
+
+function ids(layers) {
+  return layers && layers.map((layer) => layer.id);
+}
+
+test("collectLayers", async (t) => {
+  await t.test("walks nested groups of any depth", () => {
+    const tree = createTree();
+
+    assert.deepStrictEqual(ids(collectLayers(tree.layers)), ["parcels", "roads", "pipes", "valves", "hydrants"]);
+  });
+
+  await t.test("leaves out the layers of a hidden intermediate group", () => {
+    const tree = createTree({ utilities: { visible: false } });
+
+    assert.deepStrictEqual(ids(collectLayers(tree.layers)), ["parcels", "roads"]);
+  });
+
+  await t.test("leaves out the layers of a group hidden from the layer list", () => {
+    const tree = createTree({ water: { listMode: "hide" } });
+
+    assert.deepStrictEqual(ids(collectLayers(tree.layers)), ["parcels", "roads"]);
+  });
+
+  await t.test("keeps hidden layers that aren't groups", () => {
+    const tree = createTree();
+    tree.roads.visible = false;
+
+    assert.deepStrictEqual(ids(collectLayers(tree.layers)), ["parcels", "roads", "pipes", "valves", "hydrants"]);
+  });
+});
+
+test("findLayerPath", async (t) => {
+  await t.test("returns the groups leading to a nested layer, outermost first", () => {
+    const tree = createTree();
+
+    assert.deepStrictEqual(ids(findLayerPath(tree.layers, tree.valves)), ["city", "utilities", "water"]);
+    assert.deepStrictEqual(ids(findLayerPath(tree.layers, tree.roads)), ["city"]);
+  });
+
+  await t.test("returns the groups leading to a group", () => {
+    const tree = createTree();
+
+    assert.deepStrictEqual(ids(findLayerPath(tree.layers, tree.water)), ["city", "utilities"]);
+  });
+
+  await t.test("returns an empty path for a top level layer", () => {
+    const tree = createTree();
+
+    assert.deepStrictEqual(findLayerPath(tree.layers, tree.parcels), []);
+  });
+
+  await t.test("returns null for a layer that isn't in the tree", () => {
+    const tree = createTree();
+
+    assert.strictEqual(findLayerPath(tree.layers, createLayer("other")), null);
+  });
+});
+
+test("matchesLayers", async (t) => {
+  await t.test("matches a layer listed by itself or by id", () => {
+    const tree = createTree();
+
+    assert.strictEqual(matchesLayers(tree.layers, tree.hydrants, ["hydrants"]), true);
+    assert.strictEqual(matchesLayers(tree.layers, tree.hydrants, [tree.hydrants]), true);
+    assert.strictEqual(matchesLayers(tree.layers, tree.hydrants, ["valves"]), false);
+  });
+
+  await t.test("matches a layer through any of the groups leading to it", () => {
+    const tree = createTree();
+
+    assert.strictEqual(matchesLayers(tree.layers, tree.hydrants, ["city"]), true);
+    assert.strictEqual(matchesLayers(tree.layers, tree.hydrants, ["utilities"]), true);
+    assert.strictEqual(matchesLayers(tree.layers, tree.hydrants, [tree.water]), true);
+  });
+
+  await t.test("doesn't match a layer outside the listed groups", () => {
+    const tree = createTree();
+
+    assert.strictEqual(matchesLayers(tree.layers, tree.roads, ["utilities"]), false);
+    assert.strictEqual(matchesLayers(tree.layers, tree.parcels, ["city"]), false);
+  });
+
+  await t.test("matches only the layer itself without a map", () => {
+    const tree = createTree();
+
+    assert.strictEqual(matchesLayers(null, tree.hydrants, ["hydrants"]), true);
+    assert.strictEqual(matchesLayers(null, tree.hydrants, ["water"]), false);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Loads a compiled AMD module from app/ with its dependencies replaced by the given stubs,
+ * so the pure helpers can be tested without the ArcGIS API.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const APP_DIR = path.join(__dirname, "..", "..", "app");
+
+function loadModule(id, stubs = {}) {
+  const filename = path.join(APP_DIR, `${id}.js`);
+  let result;
+
+  function define(dependencies, factory) {
+    const exports = {};
+    const args = dependencies.map((dependency) => {
+      if (dependency === "require") {
+        return require;
+      }
+
+      if (dependency === "exports") {
+        return exports;
+      }
+
+      if (!(dependency in stubs)) {
+        throw new Error(`No stub for "${dependency}" required by ${id}`);
+      }
+
+      return stubs[dependency];
+    });
+    const value = factory.apply(null, args);
+
+    result = value !== undefined ? value : exports;
+  }
+
+  vm.runInThisContext(`(function (define) {${fs.readFileSync(filename, "utf8")}\n})`, { filename })(define);
+
+  return result;
+}
+
+/**
+ * A stand-in for esri/core/promiseUtils on top of native promises.
+ */
+const promiseUtils = {
+  resolve: (value) => Promise.resolve(value),
+  reject: (error) => Promise.reject(error),
+  eachAlways: (promises) => Promise.all(promises.map((promise) => {
+    return Promise.resolve(promise).then((value) => ({ promise, value }), (error) => ({ promise, error }));
+  }))
+};
+
+module.exports = { loadModule, promiseUtils };